@@ -0,0 +1,614 @@
+/*
+ * The board used internally to generate moves quickly.
+ *
+ * Games store their pieces as a list, which is slow to search. A board instead
+ * keeps the pieces in a 0x88 array of 128 squares, where the square at [x, y]
+ * is y * 16 + x. A square is off the board if it has any of the bits of 0x88
+ * set, which makes it cheap to check whether a step leaves the board. Moves
+ * are made and unmade in place, so searching many moves doesn't copy the game.
+ *
+ * Each square holds a record of the form { type, color, moveCount, piece },
+ * where piece is the piece of the game the record was made from, or null if
+ * the square is empty. Moves on the board are of the form
+ * { from, to, promotion, capture, rookFrom, rookTo }, using square numbers.
+ * capture is the square of the piece captured, which is not the same as to for
+ * en passant, and rookFrom and rookTo are the squares of the rook when
+ * castling. Unused squares are -1.
+ *
+ * The rules of the variant of the game are kept as board.rules, whose hooks
+ * change how moves are generated and made on the board.
+ */
+
+import {
+  getBackRank,
+  getCastledFiles,
+  getCastling,
+  updateCastling
+} from './castling.js'
+import { getVariant } from './variants.js'
+
+export const PROMOTION_TYPES = ['queen', 'rook', 'bishop', 'knight']
+
+const KNIGHT_STEPS = [33, 31, 18, 14, -14, -18, -31, -33]
+const BISHOP_STEPS = [17, 15, -15, -17]
+const ROOK_STEPS = [16, 1, -1, -16]
+const KING_STEPS = [...BISHOP_STEPS, ...ROOK_STEPS]
+
+const SLIDING_STEPS = {
+  bishop: BISHOP_STEPS,
+  rook: ROOK_STEPS,
+  queen: KING_STEPS
+}
+
+const TYPES = ['pawn', 'knight', 'bishop', 'rook', 'queen', 'king']
+
+/* Returns the square number of the given coordinate. */
+export function toSquare (coord) {
+  return coord[1] * 16 + coord[0]
+}
+
+/* Returns the coordinate of the given square number. */
+export function toCoord (square) {
+  return [square & 7, square >> 4]
+}
+
+function isOnBoard (square) {
+  return (square & 0x88) === 0
+}
+
+export function getOpponent (color) {
+  return color === 'white' ? 'black' : 'white'
+}
+
+/* Returns a pseudo-random 32 bit number generator for the given seed. */
+function makeRandom (seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return (t ^ (t >>> 14)) >>> 0
+  }
+}
+
+/*
+ * Random keys for hashing positions (Zobrist hashing). The hash of a position
+ * is made by combining the keys of each piece on its square, the side to move,
+ * the castling rights and the en passant square, so it can be updated as moves
+ * are made. Each key is split into a high part of 21 bits and a low part of 32
+ * bits, which fit in a number together.
+ */
+const random = makeRandom(0x2F6B3C1D)
+const PIECE_KEYS_HIGH = Array.from({ length: 12 * 128 }, () => random() >>> 11)
+const PIECE_KEYS_LOW = Array.from({ length: 12 * 128 }, () => random())
+const EN_PASSANT_KEYS_HIGH = Array.from({ length: 128 }, () => random() >>> 11)
+const EN_PASSANT_KEYS_LOW = Array.from({ length: 128 }, () => random())
+const TURN_KEY_HIGH = random() >>> 11
+const TURN_KEY_LOW = random()
+const CASTLING_KEYS_HIGH = Array.from({ length: 16 }, () => random() >>> 11)
+const CASTLING_KEYS_LOW = Array.from({ length: 16 }, () => random())
+
+function hashPiece (board, record, square) {
+  const index = (
+    (TYPES.indexOf(record.type) + (record.color === 'white' ? 0 : 6)) * 128 +
+    square
+  )
+  board.hashHigh ^= PIECE_KEYS_HIGH[index]
+  board.hashLow ^= PIECE_KEYS_LOW[index]
+}
+
+function hashEnPassant (board) {
+  if (board.enPassant !== -1) {
+    board.hashHigh ^= EN_PASSANT_KEYS_HIGH[board.enPassant]
+    board.hashLow ^= EN_PASSANT_KEYS_LOW[board.enPassant]
+  }
+}
+
+function hashCastling (board) {
+  ['white', 'black'].forEach((color, i) => {
+    board.castling[color].forEach(x => {
+      board.hashHigh ^= CASTLING_KEYS_HIGH[i * 8 + x]
+      board.hashLow ^= CASTLING_KEYS_LOW[i * 8 + x]
+    })
+  })
+}
+
+/* Returns a number identifying the position on the board. */
+export function getHash (board) {
+  return board.hashHigh * 0x100000000 + (board.hashLow >>> 0)
+}
+
+function putPiece (board, record, square) {
+  board.squares[square] = record
+  hashPiece(board, record, square)
+  if (record.type === 'king') {
+    board.kings[record.color] = square
+  }
+}
+
+function removePiece (board, square) {
+  const record = board.squares[square]
+  board.squares[square] = null
+  hashPiece(board, record, square)
+  return record
+}
+
+/*
+ * Finds the pawn which can be captured en passant, i.e. one which moved
+ * forward two squares in the last move. The capturing pawn moves to the
+ * square it skipped. Returns the square of the pawn, or -1 if there is none.
+ */
+function findEnPassantPawn (game, color) {
+  if (!game.prevState) {
+    return -1
+  }
+  const direction = color === 'white' ? 1 : -1
+  const pawn = game.pieces.find(x => {
+    if (x.type !== 'pawn' || x.color !== color) {
+      return false
+    }
+    const previous = game.prevState.pieces.find(y => y.id === x.id)
+    return (
+      previous &&
+      previous.type === 'pawn' &&
+      previous.coord[0] === x.coord[0] &&
+      previous.coord[1] === x.coord[1] - 2 * direction
+    )
+  })
+  return pawn ? toSquare(pawn.coord) : -1
+}
+
+/** Creates a board with the position of the given game. */
+export function makeBoard (game) {
+  const board = {
+    squares: new Array(128).fill(null),
+    kings: {},
+    turn: game.moveCount % 2 === 0 ? 'white' : 'black',
+    enPassant: -1,
+    enPassantPawn: -1,
+    castling: getCastling(game),
+    variant: game.variant || 'standard',
+    rules: getVariant(game.variant),
+    hashHigh: 0,
+    hashLow: 0
+  }
+  game.pieces.forEach(piece => {
+    putPiece(board, {
+      type: piece.type,
+      color: piece.color,
+      moveCount: piece.moveCount || 0,
+      piece
+    }, toSquare(piece.coord))
+  })
+  hashCastling(board)
+  const pawn = findEnPassantPawn(game, getOpponent(board.turn))
+  if (pawn !== -1) {
+    board.enPassantPawn = pawn
+    board.enPassant = pawn + (board.turn === 'white' ? 16 : -16)
+    hashEnPassant(board)
+  }
+  if (board.turn === 'black') {
+    board.hashHigh ^= TURN_KEY_HIGH
+    board.hashLow ^= TURN_KEY_LOW
+  }
+  return board
+}
+
+/*
+ * Returns the squares of the pieces of the given color which attack the given
+ * square, stopping once limit attackers have been found.
+ */
+export function getAttackers (board, square, color, limit = Infinity) {
+  const squares = board.squares
+  const attackers = []
+  const isAttacker = (from, types) => {
+    const record = squares[from]
+    return record && record.color === color && types.includes(record.type)
+  }
+
+  const pawnStep = color === 'white' ? -16 : 16
+  for (const from of [square + pawnStep - 1, square + pawnStep + 1]) {
+    if (isOnBoard(from) && isAttacker(from, ['pawn'])) {
+      attackers.push(from)
+    }
+  }
+  for (const step of KNIGHT_STEPS) {
+    if (isOnBoard(square + step) && isAttacker(square + step, ['knight'])) {
+      attackers.push(square + step)
+    }
+  }
+  for (const step of KING_STEPS) {
+    if (isOnBoard(square + step) && isAttacker(square + step, ['king'])) {
+      attackers.push(square + step)
+    }
+  }
+  for (const step of KING_STEPS) {
+    const types = BISHOP_STEPS.includes(step)
+      ? ['bishop', 'queen']
+      : ['rook', 'queen']
+    for (let from = square + step; isOnBoard(from); from += step) {
+      if (squares[from]) {
+        if (isAttacker(from, types)) {
+          attackers.push(from)
+        }
+        break
+      }
+    }
+    if (attackers.length >= limit) {
+      break
+    }
+  }
+  return attackers.slice(0, limit)
+}
+
+/* Returns true if any piece of the given color attacks the given square. */
+export function isAttacked (board, square, color) {
+  return getAttackers(board, square, color, 1).length > 0
+}
+
+function makeBoardMove (from, to, capture = -1, promotion) {
+  return { from, to, promotion, capture, rookFrom: -1, rookTo: -1 }
+}
+
+/* Adds a pawn move, which is one move for each type when it promotes. */
+function addPawnMove (moves, from, to, capture) {
+  const rank = to >> 4
+  if (rank === 0 || rank === 7) {
+    PROMOTION_TYPES.forEach(promotion => {
+      moves.push(makeBoardMove(from, to, capture, promotion))
+    })
+  } else {
+    moves.push(makeBoardMove(from, to, capture))
+  }
+}
+
+/*
+ * Adds castling moves for the king on the given square. The king can castle
+ * with a rook it still has the right to castle with if the squares both of
+ * them pass through and end up on are empty apart from the king and rook, and
+ * the king isn't in check and doesn't pass through an attacked square. The
+ * king and rook end up on the g and f files on the king side, or the c and d
+ * files on the queen side, which is two squares from where the king starts in
+ * the standard starting position.
+ */
+function addCastlingMoves (board, from, moves) {
+  const squares = board.squares
+  const king = squares[from]
+  const opponent = getOpponent(king.color)
+  const rank = getBackRank(king.color) * 16
+  const rights = board.castling[king.color]
+  if (
+    rights.length === 0 ||
+    (from & 0x70) !== rank ||
+    isAttacked(board, from, opponent)
+  ) {
+    return
+  }
+  for (const x of rights) {
+    const rookFrom = rank + x
+    const rook = squares[rookFrom]
+    if (!rook || rook.type !== 'rook' || rook.color !== king.color) {
+      continue
+    }
+    const [kingTo, rookTo] = getCastledFiles(rookFrom < from)
+      .map(x => rank + x)
+    const squaresPassed = [from, kingTo, rookFrom, rookTo]
+    let isClear = true
+    for (
+      let square = Math.min(...squaresPassed);
+      square <= Math.max(...squaresPassed);
+      square++
+    ) {
+      isClear = isClear && (
+        square === from || square === rookFrom || !squares[square]
+      )
+    }
+    const side = Math.sign(kingTo - from)
+    for (let square = from + side; square !== kingTo && isClear; square += side) {
+      isClear = !isAttacked(board, square, opponent)
+    }
+    if (isClear) {
+      moves.push({ ...makeBoardMove(from, kingTo), rookFrom, rookTo })
+    }
+  }
+}
+
+/*
+ * Returns the square a move goes to in the moves of the game, which for
+ * castling in Chess960 is the square of the rook, since the king castles by
+ * moving onto it. Otherwise it is the square the piece ends up on.
+ */
+export function getMoveTarget (board, move) {
+  return board.variant === 'chess960' && move.rookFrom !== -1
+    ? move.rookFrom
+    : move.to
+}
+
+/*
+ * Adds the moves of the piece on the given square to moves, without checking
+ * whether they leave the king in check. If capturesOnly is true, only captures
+ * are added.
+ */
+export function addPieceMoves (board, from, moves, capturesOnly = false) {
+  const squares = board.squares
+  const piece = squares[from]
+  const start = moves.length
+  const isTarget = (to) => (
+    isOnBoard(to) &&
+    (squares[to] ? squares[to].color !== piece.color : !capturesOnly)
+  )
+  const addMove = (to) => {
+    moves.push(makeBoardMove(from, to, squares[to] ? to : -1))
+  }
+
+  if (piece.type === 'pawn') {
+    const step = piece.color === 'white' ? 16 : -16
+    const forward = from + step
+    if (!capturesOnly && isOnBoard(forward) && !squares[forward]) {
+      addPawnMove(moves, from, forward, -1)
+      const forward2 = forward + step
+      if (!piece.moveCount && isOnBoard(forward2) && !squares[forward2]) {
+        moves.push(makeBoardMove(from, forward2))
+      }
+    }
+    for (const to of [forward - 1, forward + 1]) {
+      if (!isOnBoard(to)) {
+        continue
+      }
+      const victim = squares[to]
+      if (victim && victim.color !== piece.color) {
+        addPawnMove(moves, from, to, to)
+      } else if (
+        !victim &&
+        to === board.enPassant &&
+        piece.color === board.turn
+      ) {
+        addPawnMove(moves, from, to, board.enPassantPawn)
+      }
+    }
+  } else if (piece.type === 'knight' || piece.type === 'king') {
+    const steps = piece.type === 'knight' ? KNIGHT_STEPS : KING_STEPS
+    for (const step of steps) {
+      if (isTarget(from + step)) {
+        addMove(from + step)
+      }
+    }
+    if (piece.type === 'king' && !capturesOnly) {
+      addCastlingMoves(board, from, moves)
+    }
+  } else {
+    for (const step of SLIDING_STEPS[piece.type]) {
+      for (let to = from + step; isTarget(to); to += step) {
+        addMove(to)
+        if (squares[to]) {
+          break
+        }
+      }
+    }
+  }
+
+  const allowsMove = board.rules.allowsMove
+  if (allowsMove) {
+    moves.push(...moves.splice(start).filter(x => allowsMove(board, x)))
+  }
+  return moves
+}
+
+/*
+ * Returns the moves of the given color, without checking whether they leave
+ * the king in check.
+ */
+export function generateMoves (board, color = board.turn, capturesOnly) {
+  const moves = []
+  for (let square = 0; square < 128; square++) {
+    if (!isOnBoard(square)) {
+      square += 7
+    } else if (board.squares[square] && board.squares[square].color === color) {
+      addPieceMoves(board, square, moves, capturesOnly)
+    }
+  }
+  return moves
+}
+
+/*
+ * Updates the castling rights for a move of the given type of piece, which
+ * only changes them when a king moves or a move starts or ends on the square
+ * of a rook that can still castle.
+ */
+function updateBoardCastling (board, move, type, color) {
+  const castling = board.castling
+  const isAffected = ['white', 'black'].some(side => {
+    const rank = getBackRank(side) * 16
+    return castling[side].length > 0 && (
+      (type === 'king' && color === side) ||
+      castling[side].some(x => move.from === rank + x || move.to === rank + x)
+    )
+  })
+  if (isAffected) {
+    hashCastling(board)
+    board.castling = updateCastling(
+      castling,
+      { type, color },
+      toCoord(move.from),
+      toCoord(move.to))
+    hashCastling(board)
+  }
+}
+
+/* Returns the squares next to the given square. */
+export function getAdjacentSquares (square) {
+  return KING_STEPS.map(step => square + step).filter(isOnBoard)
+}
+
+/**
+ * Removes the piece on the given square as a side effect of a move made with
+ * makeMoveOnBoard, storing it in undo so unmakeMoveOnBoard puts it back.
+ */
+export function removePieceAfterMove (board, square, undo) {
+  const record = removePiece(board, square)
+  undo.removed = [...(undo.removed || []), { square, record }]
+  if (record.type === 'king' || record.type === 'rook') {
+    const coord = toCoord(square)
+    hashCastling(board)
+    board.castling = updateCastling(board.castling, record, coord, coord)
+    hashCastling(board)
+  }
+}
+
+/**
+ * Makes the move on the board, and returns what is needed to unmake it again.
+ */
+export function makeMoveOnBoard (board, move) {
+  const undo = {
+    enPassant: board.enPassant,
+    enPassantPawn: board.enPassantPawn,
+    castling: board.castling,
+    turn: board.turn,
+    hashHigh: board.hashHigh,
+    hashLow: board.hashLow,
+    captured: null,
+    type: board.squares[move.from].type
+  }
+  if (move.capture !== -1) {
+    undo.captured = removePiece(board, move.capture)
+  }
+  const piece = removePiece(board, move.from)
+  const rook = move.rookFrom !== -1 && removePiece(board, move.rookFrom)
+  if (move.promotion) {
+    piece.type = move.promotion
+  }
+  piece.moveCount++
+  putPiece(board, piece, move.to)
+  if (rook) {
+    rook.moveCount++
+    putPiece(board, rook, move.rookTo)
+  }
+
+  updateBoardCastling(board, move, undo.type, piece.color)
+  if (board.rules.afterMoveOnBoard) {
+    board.rules.afterMoveOnBoard(board, move, undo)
+  }
+  hashEnPassant(board)
+  if (undo.type === 'pawn' && Math.abs(move.to - move.from) === 32) {
+    board.enPassant = (move.from + move.to) / 2
+    board.enPassantPawn = move.to
+  } else {
+    board.enPassant = -1
+    board.enPassantPawn = -1
+  }
+  hashEnPassant(board)
+
+  if (board.turn !== getOpponent(piece.color)) {
+    board.hashHigh ^= TURN_KEY_HIGH
+    board.hashLow ^= TURN_KEY_LOW
+  }
+  board.turn = getOpponent(piece.color)
+  return undo
+}
+
+/** Unmakes a move made with makeMoveOnBoard. */
+export function unmakeMoveOnBoard (board, move, undo) {
+  const squares = board.squares
+  if (undo.removed) {
+    undo.removed.forEach(({ square, record }) => {
+      squares[square] = record
+    })
+  }
+  const piece = squares[move.to]
+  squares[move.to] = null
+  if (move.rookFrom !== -1) {
+    const rook = squares[move.rookTo]
+    squares[move.rookTo] = null
+    rook.moveCount--
+    squares[move.rookFrom] = rook
+  }
+  piece.type = undo.type
+  piece.moveCount--
+  squares[move.from] = piece
+  if (piece.type === 'king') {
+    board.kings[piece.color] = move.from
+  }
+  if (undo.captured) {
+    squares[move.capture] = undo.captured
+    if (undo.captured.type === 'king') {
+      board.kings[undo.captured.color] = move.capture
+    }
+  }
+  board.enPassant = undo.enPassant
+  board.enPassantPawn = undo.enPassantPawn
+  board.castling = undo.castling
+  board.turn = undo.turn
+  board.hashHigh = undo.hashHigh
+  board.hashLow = undo.hashLow
+}
+
+/* Returns true if the king of the given color is attacked. */
+export function isKingAttacked (board, color) {
+  const king = board.kings[color]
+  return (
+    king !== undefined &&
+    board.squares[king] !== null &&
+    board.squares[king].type === 'king' &&
+    isAttacked(board, king, getOpponent(color))
+  )
+}
+
+/* Returns true if the given color still has its king. */
+export function hasKing (board, color) {
+  const king = board.squares[board.kings[color]]
+  return !!king && king.type === 'king' && king.color === color
+}
+
+/* Returns true if the king of the given color is in check. */
+export function isCheck (board, color) {
+  return board.rules.isInCheck
+    ? board.rules.isInCheck(board, color)
+    : isKingAttacked(board, color)
+}
+
+/*
+ * Returns true if the position is legal after a move by the given color, which
+ * means its king isn't left in check unless the variant says otherwise.
+ */
+export function isLegalPosition (board, color) {
+  return board.rules.isLegalPosition
+    ? board.rules.isLegalPosition(board, color)
+    : !isCheck(board, color)
+}
+
+/* Returns true if the move doesn't leave the king of the side moving in check. */
+export function isLegalMove (board, move) {
+  const color = board.squares[move.from].color
+  const undo = makeMoveOnBoard(board, move)
+  const isLegal = isLegalPosition(board, color)
+  unmakeMoveOnBoard(board, move, undo)
+  return isLegal
+}
+
+/* Returns the legal moves of the given color. */
+export function generateLegalMoves (board, color = board.turn) {
+  return generateMoves(board, color).filter(x => isLegalMove(board, x))
+}
+
+function countMoves (board, depth) {
+  const moves = generateLegalMoves(board)
+  if (depth === 1) {
+    return moves.length
+  }
+  let count = 0
+  for (const move of moves) {
+    const undo = makeMoveOnBoard(board, move)
+    count += countMoves(board, depth - 1)
+    unmakeMoveOnBoard(board, move, undo)
+  }
+  return count
+}
+
+/**
+ * Returns the number of move sequences of the given length from the position
+ * of the game, counting each promotion type separately. Comparing the counts
+ * with known values for some positions shows whether moves are generated
+ * correctly.
+ */
+export function perft (game, depth) {
+  return depth === 0 ? 1 : countMoves(makeBoard(game), depth)
+}
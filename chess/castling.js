@@ -0,0 +1,74 @@
+/*
+ * Castling rights.
+ *
+ * The castling rights of a game are stored as game.castling, of the form
+ * { white, black }, where each color has a list of the x coordinates of the
+ * rooks it may still castle with. Rooks with a lower x than the king are on
+ * the king side, which is towards the h file. A color loses the right to
+ * castle with a rook once its king or that rook moves, or the rook is
+ * captured, and never gets it back.
+ */
+
+const COLORS = ['white', 'black']
+
+/** Returns the rank the kings and rooks of the given color start on. */
+export function getBackRank (color) {
+  return color === 'white' ? 0 : 7
+}
+
+/**
+ * Returns the x coordinates the king and rook end up on when castling, which
+ * are the g and f files on the king side, and the c and d files on the queen
+ * side, wherever they started.
+ */
+export function getCastledFiles (kingSide) {
+  return kingSide ? [1, 2] : [5, 4]
+}
+
+/**
+ * Returns the castling rights of a new game, whose rooks start with the given
+ * x coordinates.
+ */
+export function makeCastling (rooks = [0, 7]) {
+  return { white: [...rooks], black: [...rooks] }
+}
+
+/**
+ * Returns the castling rights of the game. Games created before the rights
+ * were stored work them out from which kings and rooks haven't moved.
+ */
+export function getCastling (game) {
+  if (game.castling) {
+    return game.castling
+  }
+  return Object.fromEntries(COLORS.map(color => {
+    const rank = getBackRank(color)
+    const isUnmoved = (piece, type) => (
+      piece.type === type &&
+      piece.color === color &&
+      piece.coord[1] === rank &&
+      !piece.moveCount
+    )
+    const rooks = game.pieces.some(x => isUnmoved(x, 'king'))
+      ? game.pieces.filter(x => isUnmoved(x, 'rook')).map(x => x.coord[0])
+      : []
+    return [color, rooks.sort((a, b) => a - b)]
+  }))
+}
+
+/**
+ * Returns the castling rights after the given piece moves from one coordinate
+ * to another. Moving the king loses both of its color's rights, and a move from
+ * or to the square of a rook loses the right to castle with that rook.
+ */
+export function updateCastling (castling, piece, from, to) {
+  return Object.fromEntries(COLORS.map(color => {
+    const rank = getBackRank(color)
+    if (piece.type === 'king' && piece.color === color) {
+      return [color, []]
+    }
+    return [color, castling[color].filter(x => (
+      ![from, to].some(coord => coord[0] === x && coord[1] === rank)
+    ))]
+  }))
+}
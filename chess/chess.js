@@ -1,105 +1,114 @@
+import {
+  makeBoard,
+  toSquare,
+  toCoord,
+  getOpponent,
+  getAttackers,
+  isAttacked,
+  addPieceMoves,
+  generateLegalMoves,
+  isLegalMove,
+  isCheck,
+  getMoveTarget
+} from './board.js'
+import {
+  getBackRank,
+  getCastledFiles,
+  getCastling,
+  updateCastling
+} from './castling.js'
+import { getVariant } from './variants.js'
+
 /**
- * Helper function to create the pieces on the board.
+ * Creates a new game (match) of the given variant, one of the VARIANTS, which
+ * is 'standard' by default. For 'chess960', seed chooses the number of the
+ * starting position, which is picked at random if not given, and is kept as
+ * game.seed so the same position can be set up again.
  */
-function createPieces () {
-  /* Basic chessboard layout. */
-  const board = [
-    'R', 'N', 'B', 'K', 'Q', 'B', 'N', 'R',
-    'P', 'P', 'P', 'P', 'P', 'P', 'P', 'P',
-    ' ', ' ', ' ', ' ', ' ', ' ', ' ', ' ',
-    ' ', ' ', ' ', ' ', ' ', ' ', ' ', ' ',
-    ' ', ' ', ' ', ' ', ' ', ' ', ' ', ' ',
-    ' ', ' ', ' ', ' ', ' ', ' ', ' ', ' ',
-    'P', 'P', 'P', 'P', 'P', 'P', 'P', 'P',
-    'R', 'N', 'B', 'K', 'Q', 'B', 'N', 'R'
-  ]
-
-  const shortToType = {
-    R: 'rook',
-    N: 'knight',
-    P: 'pawn',
-    K: 'king',
-    B: 'bishop',
-    Q: 'queen'
-  }
-
-  /* Create the pieces. */
-  return board.map((t, i) => ({
-    id: i,
-    type: shortToType[t],
+export function makeGame ({ variant = 'standard', seed } = {}) {
+  const { pieces, ...rest } = getVariant(variant).setup({ seed })
+  return {
+    pieces,
     moveCount: 0,
-    color: Math.floor(i / 8) > 4 ? 'black' : 'white',
-    coord: [i % 8, Math.floor(i / 8)]
-  })).filter((x) => x.type)
+    halfmoveClock: 0,
+    ...rest,
+    ...(variant !== 'standard' && { variant })
+  }
 }
 
-/** Creates a new game (match). */
-export function makeGame () {
-  return {
-    pieces: createPieces(),
-    moveCount: 0
-  }
+/** Returns the color whose turn it is, either 'white' or 'black'. */
+export function getTurn (game) {
+  return game.moveCount % 2 === 0 ? 'white' : 'black'
 }
 
 /**
  * Updates a piece on the board and returns the new game state. The moveCount
- * for the game is incremented by moveCount, which is default 1.
+ * for the game is incremented by one. A pawn is promoted by passing it with its
+ * new type along with its new coordinate.
  *
- * The previous piece is removed based on its ID.
+ * The previous piece is removed based on its ID. The halfmoveClock counts the
+ * moves since the last capture or pawn move, as used by the fifty-move rule,
+ * and the castling rights are updated for the move. Any side effects of the
+ * move in the variant of the game are then made.
  */
 export function updatePiece (game, piece) {
+  const next = movePiece(game, piece)
+  const rules = getVariant(game.variant)
+  return rules.afterMove ? rules.afterMove(next, game, piece) : next
+}
+
+function movePiece (game, piece) {
   /* Determine if the piece castled. */
   const oldPiece = game.pieces.find(x => x.id === piece.id)
-  const didCastle = (
-    piece.type === 'king' &&
-    Math.abs(piece.coord[0] - oldPiece.coord[0]) === 2
-  )
-  const didPromote = (
-    oldPiece.type === 'pawn' &&
-    piece.coord[0] === oldPiece.coord[0] &&
-    piece.coord[1] === oldPiece.coord[1]
-  )
+  const rook = getCastlingRook(game, oldPiece, ...piece.coord)
   const prevState = {
     ...game
   }
   delete prevState.prevState
 
   const enPassantPiece = getEnPassantPiece(game, oldPiece, ...piece.coord)
+  const didCapture = !!enPassantPiece || (!rook && game.pieces.some(x => (
+    x.id !== piece.id &&
+    x.coord[0] === piece.coord[0] &&
+    x.coord[1] === piece.coord[1]
+  )))
+  const halfmoveClock = (
+    oldPiece.type === 'pawn' || didCapture
+      ? 0
+      : (game.halfmoveClock || 0) + 1
+  )
+  const castling = updateCastling(
+    getCastling(game),
+    oldPiece,
+    oldPiece.coord,
+    piece.coord)
 
-  if (didCastle) {
-    const oldDir = Math.sign(piece.coord[0] - oldPiece.coord[0])
-
-    /* Find corresponding rook. */
-    const rook = game.pieces.find(x => (
-      x.type === 'rook' &&
-      x.color === piece.color &&
-      x.coord[1] === piece.coord[1] &&
-      !x.moveCount &&
-      Math.sign(x.coord[0] - oldPiece.coord[0]) === oldDir
-    ))
+  if (rook) {
+    const [kingX, rookX] = getCastledFiles(rook.coord[0] < oldPiece.coord[0])
 
     /* Remove old rook and king. */
     const pieces = game.pieces.filter(x => (
-      (x.coord[0] !== piece.coord[0] ||
-        x.coord[1] !== piece.coord[1]) &&
       x.id !== piece.id &&
       x.id !== rook.id
     ))
 
     pieces.push({
       ...piece,
-      moveCount: piece.moveCount + 1
+      moveCount: piece.moveCount + 1,
+      coord: [kingX, piece.coord[1]]
     })
     pieces.push({
       ...rook,
       moveCount: rook.moveCount + 1,
-      coord: [oldPiece.coord[0] + oldDir, piece.coord[1]]
+      coord: [rookX, piece.coord[1]]
     })
 
     return {
       ...game,
       pieces,
       moveCount: game.moveCount + 1,
+      halfmoveClock,
+      castling,
       prevState
     }
   } else if (enPassantPiece) {
@@ -115,6 +124,8 @@ export function updatePiece (game, piece) {
       ...game,
       pieces,
       moveCount: game.moveCount + 1,
+      halfmoveClock,
+      castling,
       prevState
     }
   } else {
@@ -130,12 +141,47 @@ export function updatePiece (game, piece) {
     return {
       ...game,
       pieces,
-      moveCount: game.moveCount + (didPromote ? 0 : 1),
+      moveCount: game.moveCount + 1,
+      halfmoveClock,
+      castling,
       prevState
     }
   }
 }
 
+/**
+ * Returns the rook the given king castles with by moving to the given
+ * coordinates, or undefined if the move is not castling. The king normally
+ * castles by moving two squares towards the rook. In Chess960 it castles by
+ * moving onto the rook instead, since the square the king ends up on could be
+ * an ordinary king move. This doesn't check whether castling is legal.
+ */
+export function getCastlingRook (game, king, x, y) {
+  const rank = getBackRank(king.color)
+  if (king.type !== 'king' || king.coord[1] !== rank || y !== rank) {
+    return undefined
+  }
+  const rights = getCastling(game)[king.color]
+  const isCastlingRook = (piece) => (
+    piece.type === 'rook' &&
+    piece.color === king.color &&
+    piece.coord[1] === rank &&
+    rights.includes(piece.coord[0])
+  )
+  if (game.variant === 'chess960') {
+    const piece = getPieceAtPosition(game, x, y)
+    return piece && isCastlingRook(piece) ? piece : undefined
+  }
+  const dx = x - king.coord[0]
+  if (Math.abs(dx) !== 2) {
+    return undefined
+  }
+  return game.pieces.find(piece => (
+    isCastlingRook(piece) &&
+    Math.sign(piece.coord[0] - king.coord[0]) === Math.sign(dx)
+  ))
+}
+
 /**
  * Returns +1 or -1 depending on the direction the piece is facing.
  */
@@ -181,19 +227,16 @@ export function canAttack (game, piece, x, y) {
 }
 
 export function getPieceAtPosition (game, x, y) {
-  return game.pieces.filter(p => p.coord[0] === x && p.coord[1] === y)[0]
+  return game.pieces.find(p => p.coord[0] === x && p.coord[1] === y)
 }
 
 /**
  * Returns a list of pieces that can attack the given piece.
  */
 export function getVulnerabilities (game, piece) {
-  return game.pieces.filter(x => (
-    x.color !== piece.color &&
-    getValidMoves(game, x, true).some(x => (
-      x[0] === piece.coord[0] && x[1] === piece.coord[1]
-    ))
-  ))
+  const board = makeBoard(game)
+  return getAttackers(board, toSquare(piece.coord), getOpponent(piece.color))
+    .map(x => board.squares[x].piece)
 }
 
 /**
@@ -204,20 +247,36 @@ export function isVulnerable (game, piece) {
 }
 
 /**
- * Returns true if the given piece can castle.
+ * Returns the positions of the squares the pieces of the given color attack,
+ * whether or not a piece is on them.
+ */
+export function getAttackedSquares (game, color) {
+  const board = makeBoard(game)
+  const coords = []
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      if (isAttacked(board, toSquare([x, y]), color)) {
+        coords.push([x, y])
+      }
+    }
+  }
+  return coords
+}
+
+/**
+ * Returns true if the given king can castle with the given rook. The king must
+ * still have the right to castle with the rook, the squares between them must
+ * be empty, and the king can't be in check or move through or into check.
  */
 export function canCastle (game, king, rook) {
+  const board = makeBoard(game)
+  const from = toSquare(king.coord)
   return (
     king.type === 'king' &&
-    rook.type === 'rook' &&
-    !king.moveCount &&
-    !rook.moveCount &&
-    game.pieces.filter(x => (
-      x.coord[1] === king.coord[1] &&
-      x.coord[0] > Math.min(king.coord[0], rook.coord[0]) &&
-      x.coord[0] < Math.max(king.coord[0], rook.coord[0])
-    )).length === 0 &&
-    !isVulnerable(game, king)
+    board.squares[from] !== null &&
+    addPieceMoves(board, from, []).some(x => (
+      x.rookFrom === toSquare(rook.coord) && isLegalMove(board, x)
+    ))
   )
 }
 
@@ -239,209 +298,27 @@ export function canPromote (game, piece) {
  * If attacksOnly is true, only return attacks.
  */
 export function getValidMoves (game, piece, attacksOnly = false) {
-  const possibleCoords = []
-
-  const direction = getDirection(game, piece)
-
-  /*
-   * Creates a place to attack at the given position if possible. Returns true
-   * if possible, false if not in bounds or if the position would hit a friendly
-   * piece.
-   */
-  const makeAttack = (x, y) => {
-    /* Find any pieces at the position. */
-    const hitPiece = getPieceAtPosition(game, x, y)
-    const inBounds = x >= 0 && y >= 0 && x < 8 && y < 8
-    const hittingFriendly = (hitPiece && hitPiece.color === piece.color)
-    if (inBounds && !hittingFriendly) {
-      if (attacksOnly) {
-        if (hitPiece && hitPiece.color !== piece.color) {
-          possibleCoords.push([x, y])
-        }
-      } else {
-        /* You can't move in a way that would put you in check. */
-        const movedPiece = {
-          ...piece,
-          coord: [x, y]
-        }
-        const inCheck = isInCheck(
-          updatePiece(game, movedPiece),
-          piece.color)
-        if (!inCheck) {
-          possibleCoords.push([x, y])
-        }
-      }
-      return true
-    }
-    return false
+  const board = makeBoard(game)
+  const from = toSquare(piece.coord)
+  if (!board.squares[from]) {
+    return []
   }
-
-  /*
-   * Creates an attack with count directions, starting at the given offset in
-   * radians.
-   */
-  const makeAngleAttack = (count, offset = 0, max = Infinity) => {
-    for (let i = 0; i < count; i++) {
-      const dx = Math.sign(Math.round(Math.cos(i * 2 * Math.PI / count + offset)))
-      const dy = Math.sign(Math.round(Math.sin(i * 2 * Math.PI / count + offset)))
-      let [x, y] = piece.coord
-
-      for (let j = 0; j < max; j++) {
-        x += dx
-        y += dy
-
-        if (!makeAttack(x, y)) {
-          break
-        }
-
-        /* Stop iterating if we hit a piece. */
-        if (getPieceAtPosition(game, x, y)) {
-          break
-        }
-      }
-    }
-  }
-
-  if (piece.type === 'pawn') {
-    const forward = [piece.coord[0], piece.coord[1] + direction]
-    const forward2 = [piece.coord[0], piece.coord[1] + 2 * direction]
-    const left = [piece.coord[0] - 1, piece.coord[1] + direction]
-    const right = [piece.coord[0] + 1, piece.coord[1] + direction]
-
-    const leftPiece = getPieceAtPosition(game, ...left)
-    const rightPiece = getPieceAtPosition(game, ...right)
-    const forwardPiece = getPieceAtPosition(game, ...forward)
-    const forwardPiece2 = getPieceAtPosition(game, ...forward2)
-
-    if (leftPiece) {
-      if (leftPiece.color !== piece.color) {
-        makeAttack(...left)
-      }
-    } else {
-      if (getEnPassantPiece(game, piece, ...left)) {
-        makeAttack(...left)
-      }
-    }
-
-    if (rightPiece) {
-      if (rightPiece.color !== piece.color) {
-        makeAttack(...right)
-      }
-    } else {
-      if (getEnPassantPiece(game, piece, ...right)) {
-        makeAttack(...right)
-      }
-    }
-
-    if (!forwardPiece) {
-      makeAttack(...forward)
-
-      if (!forwardPiece2 && !piece.moveCount) {
-        makeAttack(...forward2)
-      }
-    }
-  } else if (piece.type === 'queen') {
-    makeAngleAttack(8)
-  } else if (piece.type === 'rook') {
-    makeAngleAttack(4)
-  } else if (piece.type === 'bishop') {
-    makeAngleAttack(4, Math.PI / 4)
-  } else if (piece.type === 'king') {
-    makeAngleAttack(8, 0, 1)
-
-    /* Handle castling. */
-    const rooks = game.pieces.filter(x => (
-      x.type === 'rook' && x.color === piece.color
-    )).sort((a, b) => a.coord[0] < b.coord[0])
-
-    rooks.forEach(rook => {
-      if (!attacksOnly && canCastle(game, piece, rook)) {
-        makeAttack(
-          piece.coord[0] + (rook.coord[0] < piece.coord[0] ? -2 : 2),
-          piece.coord[1]
-        )
-      }
-    })
-  } else if (piece.type === 'knight') {
-    [[1, 2], [2, 1]].forEach((pair) => {
-      makeAttack(piece.coord[0] + pair[0], piece.coord[1] + pair[1])
-      makeAttack(piece.coord[0] - pair[0], piece.coord[1] + pair[1])
-      makeAttack(piece.coord[0] + pair[0], piece.coord[1] - pair[1])
-      makeAttack(piece.coord[0] - pair[0], piece.coord[1] - pair[1])
-    })
-  }
-  return possibleCoords
+  return addPieceMoves(board, from, [], attacksOnly)
+    .filter(x => (
+      /* Promotions are one move for each type, which all go to one position. */
+      (!x.promotion || x.promotion === 'queen') &&
+      (attacksOnly ? x.capture === x.to : isLegalMove(board, x))
+    ))
+    .map(x => toCoord(getMoveTarget(board, x)))
 }
 
 export function isInCheck (game, color) {
-  const king = game.pieces.find(x => x.color === color && x.type === 'king')
-  return isVulnerable(game, king)
+  return isCheck(makeBoard(game), color)
 }
 
 /** Returns true if the given color can move. */
 export function canMove (game, color) {
-  return game.pieces.filter(x => x.color === color).some(x => (
-    getValidMoves(game, x).length !== 0
-  ))
-}
-
-export function isValidMove (prevState, state) {
-  /* Make sure state is a valid state. */
-  if (
-    !prevState ||
-    !state ||
-    !Array.isArray(state.pieces) ||
-    !state.pieces.every(x => (
-      PIECE_NAMES.includes(x.type) &&
-      Array.isArray(x.coord) &&
-      ['black', 'white'].includes(x.color) &&
-      x.id !== undefined
-    ))
-  ) {
-    return false
-  }
-
-  const movedPieces = state.pieces.filter(x => (
-    (y => !y || y.id !== x.id || y.type !== x.type)(
-      getPieceAtPosition(prevState, ...x.coord)
-    )
-  ))
-
-  const isValid = piece => {
-    const oldPiece = prevState.pieces.find(x => x.id === piece.id)
-    return (
-      JSON.stringify(
-        updatePiece(prevState, {
-          ...piece,
-          moveCount: oldPiece.moveCount
-        })
-      ) === JSON.stringify(state) && (
-        getValidMoves(prevState, oldPiece).some(x => (
-          x[0] === piece.coord[0] &&
-          x[1] === piece.coord[1]
-        )) ||
-        (
-          canPromote(prevState, oldPiece) &&
-          oldPiece.coord[0] === piece.coord[0] &&
-          oldPiece.coord[1] === piece.coord[1]
-        )
-      )
-    )
-  }
-
-  if (movedPieces.length === 1) {
-    return isValid(movedPieces[0])
-  } else if (movedPieces.length === 2) {
-    /* Check for castling. */
-    const king = movedPieces.find(x => x.type === 'king')
-    if (!king) {
-      return false
-    } else {
-      return isValid(king)
-    }
-  } else {
-    return false
-  }
+  return generateLegalMoves(makeBoard(game), color).length > 0
 }
 
 export const PIECE_NAMES = [
@@ -0,0 +1,185 @@
+/*
+ * Chess clocks.
+ *
+ * The clock of a game is stored as game.clock, of the form
+ * { initial, increment, mode, white, black, turnStartedAt }. white and black
+ * are the times each side had left when the current turn started, and
+ * turnStartedAt is the timestamp the current turn started at, which is
+ * undefined until the first move is made. All times are in milliseconds.
+ *
+ * In 'increment' mode (Fischer), increment is added to a player's time after
+ * each move. In 'delay' mode, a player's time only starts running once
+ * increment has passed in each turn.
+ */
+
+import { getTurn } from './chess.js'
+import { endGame } from './result.js'
+
+export const CLOCK_MODES = ['increment', 'delay']
+
+/**
+ * Parses a time control such as '5+3', meaning five minutes for each player
+ * plus three seconds for each move. Returns an object of the form
+ * { initial, increment } in milliseconds, or undefined if the time control is
+ * not valid.
+ */
+export function parseTimeControl (text) {
+  const match = typeof text === 'string' &&
+    text.trim().match(/^(\d+(?:\.\d+)?)(?:\+(\d+))?$/)
+  if (match) {
+    const minutes = Number(match[1])
+    const seconds = Number(match[2] || 0)
+    if (minutes > 0 && minutes <= 180 && seconds <= 180) {
+      return {
+        initial: Math.round(minutes * 60 * 1000),
+        increment: seconds * 1000
+      }
+    }
+  }
+}
+
+/** Formats a time control as written by parseTimeControl, i.e. '5+3'. */
+export function formatTimeControl (clock) {
+  return `${clock.initial / 60000}+${clock.increment / 1000}`
+}
+
+/** Creates a clock for the given time control. */
+export function makeClock (timeControl, mode = 'increment') {
+  return {
+    initial: timeControl.initial,
+    increment: timeControl.increment,
+    mode,
+    white: timeControl.initial,
+    black: timeControl.initial
+  }
+}
+
+/** Returns true if the clock of the side to move is running. */
+export function isClockRunning (game) {
+  return !!game.clock && game.clock.turnStartedAt !== undefined && !game.result
+}
+
+/** Returns the time used so far in the current turn, after any delay. */
+function getUsedTime (clock, now) {
+  const elapsed = Math.max(now - clock.turnStartedAt, 0)
+  return clock.mode === 'delay'
+    ? Math.max(elapsed - clock.increment, 0)
+    : elapsed
+}
+
+/**
+ * Returns the time each side has left at the given time, as an object of the
+ * form { white, black }.
+ */
+export function getClockTimes (game, now) {
+  const clock = game.clock
+  const times = { white: clock.white, black: clock.black }
+  if (isClockRunning(game)) {
+    const turn = getTurn(game)
+    times[turn] = Math.max(clock[turn] - getUsedTime(clock, now), 0)
+  }
+  return times
+}
+
+/**
+ * Returns the timestamp at which the side to move will run out of time, or
+ * undefined if their clock isn't running.
+ */
+export function getFlagTime (game) {
+  if (isClockRunning(game)) {
+    const clock = game.clock
+    const delay = clock.mode === 'delay' ? clock.increment : 0
+    return clock.turnStartedAt + clock[getTurn(game)] + delay
+  }
+}
+
+/**
+ * Returns the game with the time used so far in the current turn taken off the
+ * clock of the side to move, and the turn restarted at the given time. This is
+ * done before taking back moves, so the clock carries on from there for
+ * whoever is to move afterwards.
+ */
+export function restartClock (game, now) {
+  if (!isClockRunning(game)) {
+    return game
+  }
+  const turn = getTurn(game)
+  return {
+    ...game,
+    clock: {
+      ...game.clock,
+      [turn]: getClockTimes(game, now)[turn],
+      turnStartedAt: now
+    }
+  }
+}
+
+/**
+ * Returns true if the given color has enough material to checkmate, which
+ * decides whether running out of time loses or draws.
+ */
+function hasMatingMaterial (game, color) {
+  const pieces = game.pieces.filter(x => x.color === color && x.type !== 'king')
+  return (
+    pieces.some(x => ['pawn', 'rook', 'queen'].includes(x.type)) ||
+    pieces.length >= 2
+  )
+}
+
+/**
+ * Returns the game ended on time if the side to move has run out of time at
+ * the given time, otherwise returns the game unchanged. If the opponent can't
+ * checkmate, the game is a draw instead.
+ */
+export function checkFlag (game, now) {
+  if (!isClockRunning(game)) {
+    return game
+  }
+  const turn = getTurn(game)
+  const times = getClockTimes(game, now)
+  if (times[turn] > 0) {
+    return game
+  }
+  const opponent = turn === 'white' ? 'black' : 'white'
+  const clock = { ...game.clock, [turn]: 0 }
+  if (hasMatingMaterial(game, opponent)) {
+    return endGame({ ...game, clock }, {
+      status: 'timeout',
+      winner: opponent,
+      reason: `${turn} ran out of time`
+    })
+  } else {
+    return endGame({ ...game, clock }, {
+      status: 'draw',
+      reason: 'timeout vs insufficient material'
+    })
+  }
+}
+
+/**
+ * Returns the game with the clock updated for a move just made at the given
+ * time, starting the clock of the side to move next. The clock doesn't start
+ * until the first move has been made.
+ */
+export function pressClock (game, now) {
+  const clock = game.clock
+  if (!clock) {
+    return game
+  }
+  const mover = getTurn(game) === 'white' ? 'black' : 'white'
+  let time = clock[mover]
+  if (clock.turnStartedAt !== undefined) {
+    time = Math.max(time - getUsedTime(clock, now), 0)
+    if (clock.mode === 'increment') {
+      time += clock.increment
+    }
+  }
+  return {
+    ...game,
+    clock: {
+      ...clock,
+      [mover]: time,
+      turnStartedAt: now
+    }
+  }
+}
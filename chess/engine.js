@@ -0,0 +1,331 @@
+/*
+ * A computer opponent.
+ *
+ * findBestMove searches the game tree with alpha-beta search, using iterative
+ * deepening so it can stop when it runs out of time. Positions are scored by
+ * material and piece-square tables, and stored in a transposition table so
+ * positions reached by different move orders are only searched once. The
+ * search makes and unmakes moves on a board, rather than copying the game.
+ */
+
+import {
+  makeBoard,
+  generateMoves,
+  makeMoveOnBoard,
+  unmakeMoveOnBoard,
+  isLegalPosition,
+  isCheck,
+  hasKing,
+  getHash,
+  getMoveTarget,
+  toCoord
+} from './board.js'
+
+const PIECE_VALUES = {
+  pawn: 100,
+  knight: 320,
+  bishop: 330,
+  rook: 500,
+  queen: 900,
+  king: 0
+}
+
+/*
+ * Bonuses for each piece on each square, from white's point of view. Each
+ * table lists the squares from a8 to h1, as the board is seen by white.
+ */
+const PIECE_SQUARES = {
+  pawn: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    50, 50, 50, 50, 50, 50, 50, 50,
+    10, 10, 20, 30, 30, 20, 10, 10,
+    5, 5, 10, 25, 25, 10, 5, 5,
+    0, 0, 0, 20, 20, 0, 0, 0,
+    5, -5, -10, 0, 0, -10, -5, 5,
+    5, 10, 10, -20, -20, 10, 10, 5,
+    0, 0, 0, 0, 0, 0, 0, 0
+  ],
+  knight: [
+    -50, -40, -30, -30, -30, -30, -40, -50,
+    -40, -20, 0, 0, 0, 0, -20, -40,
+    -30, 0, 10, 15, 15, 10, 0, -30,
+    -30, 5, 15, 20, 20, 15, 5, -30,
+    -30, 0, 15, 20, 20, 15, 0, -30,
+    -30, 5, 10, 15, 15, 10, 5, -30,
+    -40, -20, 0, 5, 5, 0, -20, -40,
+    -50, -40, -30, -30, -30, -30, -40, -50
+  ],
+  bishop: [
+    -20, -10, -10, -10, -10, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 10, 10, 5, 0, -10,
+    -10, 5, 5, 10, 10, 5, 5, -10,
+    -10, 0, 10, 10, 10, 10, 0, -10,
+    -10, 10, 10, 10, 10, 10, 10, -10,
+    -10, 5, 0, 0, 0, 0, 5, -10,
+    -20, -10, -10, -10, -10, -10, -10, -20
+  ],
+  rook: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    5, 10, 10, 10, 10, 10, 10, 5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    0, 0, 0, 5, 5, 0, 0, 0
+  ],
+  queen: [
+    -20, -10, -10, -5, -5, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 5, 5, 5, 0, -10,
+    -5, 0, 5, 5, 5, 5, 0, -5,
+    0, 0, 5, 5, 5, 5, 0, -5,
+    -10, 5, 5, 5, 5, 5, 0, -10,
+    -10, 0, 5, 0, 0, 0, 0, -10,
+    -20, -10, -10, -5, -5, -10, -10, -20
+  ],
+  king: [
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -20, -30, -30, -40, -40, -30, -30, -20,
+    -10, -20, -20, -20, -20, -20, -20, -10,
+    20, 20, 0, 0, 0, 0, 20, 20,
+    20, 30, 10, 0, 0, 10, 30, 20
+  ]
+}
+
+/* Scores beyond this are checkmates, counting down with the moves to mate. */
+const MATE = 100000
+
+/*
+ * The search options for each difficulty level of the computer opponent, from
+ * 1 (easiest) to 5 (hardest).
+ */
+export const ENGINE_LEVELS = [
+  { depth: 1, timeMs: 1000 },
+  { depth: 2, timeMs: 1000 },
+  { depth: 3, timeMs: 2000 },
+  { depth: 4, timeMs: 4000 },
+  { depth: 6, timeMs: 8000 }
+]
+
+/* Returns the value of a piece on the given square, from its own point of view. */
+function getPieceValue (record, square) {
+  /* The x coordinate runs from the h file to the a file. */
+  const [x, y] = toCoord(square)
+  const row = record.color === 'white' ? 7 - y : y
+  return PIECE_VALUES[record.type] + PIECE_SQUARES[record.type][row * 8 + 7 - x]
+}
+
+/* Returns the score of the board from the point of view of the side to move. */
+function evaluateBoard (board) {
+  let score = 0
+  board.squares.forEach((record, square) => {
+    if (record) {
+      const value = getPieceValue(record, square)
+      score += record.color === board.turn ? value : -value
+    }
+  })
+  return score
+}
+
+/* Returns the score of the position from the point of view of the side to move. */
+export function evaluate (game) {
+  return evaluateBoard(makeBoard(game))
+}
+
+function boardMovesEqual (a, b) {
+  return a.from === b.from && a.to === b.to && a.promotion === b.promotion
+}
+
+/*
+ * Sorts moves so the best are likely searched first, which lets alpha-beta
+ * search cut off more of the tree: the best move found before, then captures
+ * of the most valuable pieces by the least valuable, then promotions.
+ */
+function orderMoves (board, moves, bestMove) {
+  const getOrder = (move) => {
+    if (bestMove && boardMovesEqual(move, bestMove)) {
+      return Infinity
+    }
+    const attacker = board.squares[move.from]
+    const victim = move.capture !== -1 && board.squares[move.capture]
+    const capture = victim
+      ? PIECE_VALUES[victim.type] * 10 - PIECE_VALUES[attacker.type] / 100
+      : 0
+    return capture + (move.promotion ? PIECE_VALUES[move.promotion] : 0)
+  }
+  return moves
+    .map(move => ({ move, order: getOrder(move) }))
+    .sort((a, b) => b.order - a.order)
+    .map(x => x.move)
+}
+
+/*
+ * Makes the move if it is legal and calls visit, then unmakes it again.
+ * Returns true if the move was legal.
+ */
+function tryMove (board, move, visit) {
+  const color = board.turn
+  const undo = makeMoveOnBoard(board, move)
+  const isLegal = isLegalPosition(board, color)
+  if (isLegal) {
+    visit()
+  }
+  unmakeMoveOnBoard(board, move, undo)
+  return isLegal
+}
+
+/*
+ * Searches only captures until the position is quiet, so the evaluation isn't
+ * thrown off by a piece which is about to be taken.
+ */
+function quiesce (search, board, alpha, beta) {
+  search.nodes++
+  const standPat = evaluateBoard(board)
+  if (standPat >= beta) {
+    return standPat
+  }
+  alpha = Math.max(alpha, standPat)
+  const captures = generateMoves(board, board.turn, true)
+  for (const move of orderMoves(board, captures)) {
+    let score = -Infinity
+    tryMove(board, move, () => {
+      score = -quiesce(search, board, -beta, -alpha)
+    })
+    if (score >= beta) {
+      return score
+    }
+    alpha = Math.max(alpha, score)
+  }
+  return alpha
+}
+
+/*
+ * Returns the score of the board searched to the given depth, from the point
+ * of view of the side to move. Scores outside of alpha and beta are only
+ * bounds.
+ */
+function alphaBeta (search, board, depth, alpha, beta, ply) {
+  /*
+   * The clock is checked every 1024 nodes or so. Quiescence nodes count too,
+   * so the next check is stored rather than waiting for a multiple of 1024.
+   */
+  if (search.nodes >= search.nextCheck) {
+    search.nextCheck = search.nodes + 1024
+    if (Date.now() > search.deadline) {
+      search.stopped = true
+    }
+  }
+  if (search.stopped) {
+    return 0
+  }
+  search.nodes++
+
+  /* A side can lose its king in some variants, such as Atomic. */
+  if (!hasKing(board, board.turn)) {
+    return -(MATE - ply)
+  }
+
+  const key = getHash(board)
+  const entry = search.table.get(key)
+  if (entry && entry.depth >= depth && ply > 0) {
+    if (entry.bound === 'exact') {
+      return entry.score
+    } else if (entry.bound === 'lower') {
+      alpha = Math.max(alpha, entry.score)
+    } else {
+      beta = Math.min(beta, entry.score)
+    }
+    if (alpha >= beta) {
+      return entry.score
+    }
+  }
+
+  if (depth === 0) {
+    return quiesce(search, board, alpha, beta)
+  }
+
+  const originalAlpha = alpha
+  let bestScore = -Infinity
+  let bestMove
+  const moves = generateMoves(board)
+  for (const move of orderMoves(board, moves, entry && entry.move)) {
+    let score
+    const isLegal = tryMove(board, move, () => {
+      score = -alphaBeta(search, board, depth - 1, -beta, -alpha, ply + 1)
+    })
+    if (search.stopped) {
+      return 0
+    } else if (!isLegal) {
+      continue
+    }
+    if (score > bestScore) {
+      bestScore = score
+      bestMove = move
+    }
+    alpha = Math.max(alpha, score)
+    if (alpha >= beta) {
+      break
+    }
+  }
+
+  if (!bestMove) {
+    /* There are no legal moves, so it is checkmate or stalemate. */
+    return isCheck(board, board.turn) ? -(MATE - ply) : 0
+  }
+
+  search.table.set(key, {
+    depth,
+    score: bestScore,
+    move: bestMove,
+    bound: bestScore <= originalAlpha
+      ? 'upper'
+      : bestScore >= beta ? 'lower' : 'exact'
+  })
+  return bestScore
+}
+
+/**
+ * Returns the best move found for the side to move, or undefined if there are
+ * no legal moves. The search goes up to depth moves ahead, stopping early once
+ * timeMs milliseconds have passed, in which case the best move of the deepest
+ * finished search is returned.
+ */
+export function findBestMove (game, { depth = 4, timeMs = Infinity } = {}) {
+  const board = makeBoard(game)
+  const moves = generateMoves(board).filter(move => (
+    tryMove(board, move, () => {})
+  ))
+  if (moves.length === 0) {
+    return undefined
+  }
+  const search = {
+    table: new Map(),
+    deadline: Date.now() + timeMs,
+    nodes: 0,
+    nextCheck: 0,
+    stopped: false
+  }
+  let bestMove = moves[0]
+  for (let i = 1; i <= depth; i++) {
+    alphaBeta(search, board, i, -Infinity, Infinity, 0)
+    if (search.stopped) {
+      break
+    }
+    const entry = search.table.get(getHash(board))
+    bestMove = entry.move
+    /* Stop once a forced mate has been found. */
+    if (Math.abs(entry.score) > MATE - 1000) {
+      break
+    }
+  }
+  return {
+    from: toCoord(bestMove.from),
+    to: toCoord(getMoveTarget(board, bestMove)),
+    ...(bestMove.promotion && { promotion: bestMove.promotion })
+  }
+}
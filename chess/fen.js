@@ -0,0 +1,384 @@
+/*
+ * Import and export of game states using Forsyth-Edwards Notation (FEN).
+ *
+ * Note that the x coordinate of a piece runs from the h file to the a file, so
+ * the square a1 is at [7, 0] and h8 is at [0, 7].
+ */
+
+import {
+  makeGame,
+  getTurn,
+  getPieceAtPosition,
+  getValidMoves,
+  getEnPassantPiece,
+  isInCheck
+} from './chess.js'
+import { getBackRank, getCastling } from './castling.js'
+
+const FILES = 'hgfedcba'
+
+const typeToShort = {
+  rook: 'r',
+  knight: 'n',
+  pawn: 'p',
+  king: 'k',
+  bishop: 'b',
+  queen: 'q'
+}
+
+const shortToType = {
+  r: 'rook',
+  n: 'knight',
+  p: 'pawn',
+  k: 'king',
+  b: 'bishop',
+  q: 'queen'
+}
+
+export const STARTING_FEN = (
+  'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1'
+)
+
+/** Converts a coordinate such as [3, 1] to the name of a square, i.e. 'e2'. */
+export function coordToSquare (coord) {
+  return FILES[coord[0]] + (coord[1] + 1)
+}
+
+/**
+ * Converts the name of a square such as 'e2' to a coordinate, i.e. [3, 1].
+ * Returns undefined if the name is not a valid square.
+ */
+export function squareToCoord (square) {
+  if (typeof square === 'string' && /^[a-h][1-8]$/.test(square)) {
+    return [FILES.indexOf(square[0]), Number(square[1]) - 1]
+  }
+}
+
+/* Returns the x coordinates of the rooks of the given color on its back rank. */
+function getBackRankRooks (pieces, color) {
+  return pieces
+    .filter(x => (
+      x.type === 'rook' &&
+      x.color === color &&
+      x.coord[1] === getBackRank(color)
+    ))
+    .map(x => x.coord[0])
+}
+
+function getBackRankKing (pieces, color) {
+  return pieces.find(x => (
+    x.type === 'king' &&
+    x.color === color &&
+    x.coord[1] === getBackRank(color)
+  ))
+}
+
+/**
+ * Returns the FEN castling field for the game, i.e. 'KQkq'. As in X-FEN, used
+ * for Chess960, a right to castle with a rook which isn't the outermost on its
+ * side of the king is written as the file of the rook instead, i.e. 'Bkq'.
+ */
+function getCastlingField (game) {
+  const castling = getCastling(game)
+  const field = ['white', 'black'].map(color => {
+    const king = getBackRankKing(game.pieces, color)
+    const rooks = getBackRankRooks(game.pieces, color)
+    const rights = [...castling[color]].sort((a, b) => a - b).map(x => {
+      const kingSide = !!king && x < king.coord[0]
+      const isOutermost = kingSide
+        ? !rooks.some(y => y < x)
+        : !rooks.some(y => y > x)
+      return isOutermost ? (kingSide ? 'K' : 'Q') : FILES[x].toUpperCase()
+    }).join('')
+    return color === 'white' ? rights : rights.toLowerCase()
+  })
+  return field.join('') || '-'
+}
+
+/**
+ * Returns the x coordinates of the rooks the castling field of a FEN gives the
+ * right to castle with, for the given color. K and Q are the outermost rooks
+ * on each side of the king, and a file letter is the rook on that file. Rights
+ * without the king and rook on the back rank are left out, and in standard
+ * chess they also need to be on their starting squares.
+ */
+function parseCastlingField (field, pieces, color, variant) {
+  const king = getBackRankKing(pieces, color)
+  const rooks = getBackRankRooks(pieces, color)
+  if (!king || (variant !== 'chess960' && king.coord[0] !== 3)) {
+    return []
+  }
+  const letters = [...field].filter(c => (
+    color === 'white' ? c === c.toUpperCase() : c === c.toLowerCase()
+  ))
+  const rights = letters.map(c => {
+    const kingSide = rooks.filter(x => x < king.coord[0])
+    const queenSide = rooks.filter(x => x > king.coord[0])
+    switch (c.toUpperCase()) {
+      case 'K':
+        return kingSide.length ? Math.min(...kingSide) : undefined
+      case 'Q':
+        return queenSide.length ? Math.max(...queenSide) : undefined
+      default:
+        return FILES.indexOf(c.toLowerCase())
+    }
+  })
+  return rights
+    .filter(x => (
+      rooks.includes(x) &&
+      (variant === 'chess960' || x === 0 || x === 7)
+    ))
+    .filter((x, i, array) => array.indexOf(x) === i)
+    .sort((a, b) => a - b)
+}
+
+/**
+ * Returns the FEN en passant field for the game, i.e. the square behind a pawn
+ * that moved forward two squares on the previous move.
+ */
+function getEnPassantField (game) {
+  if (game.prevState) {
+    const pawn = game.pieces.find(x => {
+      const prev = game.prevState.pieces.find(y => y.id === x.id)
+      return (
+        x.type === 'pawn' &&
+        x.color !== getTurn(game) &&
+        prev &&
+        prev.type === 'pawn' &&
+        prev.coord[0] === x.coord[0] &&
+        Math.abs(prev.coord[1] - x.coord[1]) === 2
+      )
+    })
+    if (pawn) {
+      const prev = game.prevState.pieces.find(y => y.id === pawn.id)
+      return coordToSquare([
+        pawn.coord[0],
+        (pawn.coord[1] + prev.coord[1]) / 2
+      ])
+    }
+  }
+  return '-'
+}
+
+/** Returns the FEN string describing the given game state. */
+export function toFEN (game) {
+  const ranks = []
+  for (let y = 7; y >= 0; y--) {
+    let rank = ''
+    let empty = 0
+    for (let x = 7; x >= 0; x--) {
+      const piece = getPieceAtPosition(game, x, y)
+      if (piece) {
+        const short = typeToShort[piece.type]
+        rank += (empty || '') + (
+          piece.color === 'white' ? short.toUpperCase() : short
+        )
+        empty = 0
+      } else {
+        empty++
+      }
+    }
+    ranks.push(rank + (empty || ''))
+  }
+
+  return [
+    ranks.join('/'),
+    getTurn(game)[0],
+    getCastlingField(game),
+    getEnPassantField(game),
+    game.halfmoveClock || 0,
+    Math.floor(game.moveCount / 2) + 1
+  ].join(' ')
+}
+
+/**
+ * Returns a string identifying the position for the purpose of detecting
+ * repetition: the placement, side to move, castling rights and en passant
+ * field, and the checks given so far in Three-check. The en passant field is
+ * only included if the capture is possible.
+ */
+export function getPositionKey (game) {
+  const [placement, turn, castling, enPassant] = toFEN(game).split(' ')
+  const target = squareToCoord(enPassant)
+  const canCaptureEnPassant = target && game.pieces.some(x => (
+    x.type === 'pawn' &&
+    x.color === getTurn(game) &&
+    getEnPassantPiece(game, x, ...target) &&
+    getValidMoves(game, x).some(y => (
+      y[0] === target[0] && y[1] === target[1]
+    ))
+  ))
+  return [
+    placement,
+    turn,
+    castling,
+    canCaptureEnPassant ? enPassant : '-',
+    ...(game.checks ? [`+${game.checks.white}+${game.checks.black}`] : [])
+  ].join(' ')
+}
+
+/**
+ * Returns a short hash of the position key of the game, which is stored in the
+ * move history to detect repetition.
+ */
+export function hashPosition (game) {
+  /* A 53-bit string hash (cyrb53). */
+  const key = getPositionKey(game)
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < key.length; i++) {
+    const c = key.charCodeAt(i)
+    h1 = Math.imul(h1 ^ c, 2654435761)
+    h2 = Math.imul(h2 ^ c, 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^
+    Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^
+    Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)
+}
+
+/**
+ * Creates a game state from the given FEN string of a game of the given
+ * variant, which is 'standard' by default. Throws an error if the string is
+ * not valid FEN. In 'chess960', the king and rooks can start anywhere on the
+ * back rank, and castling rights can be written as in X-FEN.
+ *
+ * In standard chess, castling rights are only kept if the king and rook are on
+ * their starting squares. Since the game state does not store the en passant
+ * target directly, it is recreated by setting the moveCount of the pawns, and
+ * by creating a prevState with the pawn on its starting square. The FEN is
+ * kept as the initialFEN of the game, which is where its history starts.
+ */
+export function fromFEN (fen, { variant = 'standard' } = {}) {
+  const fields = typeof fen === 'string' ? fen.trim().split(/\s+/) : []
+  if (fields.length !== 6) {
+    throw new Error('Invalid FEN: expected six fields.')
+  }
+  const [placement, turn, castling, enPassant, halfmove, fullmove] = fields
+
+  const ranks = placement.split('/')
+  if (ranks.length !== 8) {
+    throw new Error('Invalid FEN: expected eight ranks.')
+  }
+
+  const pieces = []
+  ranks.forEach((rank, i) => {
+    const y = 7 - i
+    let x = 7
+    for (const c of rank) {
+      if (/[1-8]/.test(c)) {
+        x -= Number(c)
+      } else if (shortToType[c.toLowerCase()] && x >= 0) {
+        const color = c === c.toUpperCase() ? 'white' : 'black'
+        const type = shortToType[c.toLowerCase()]
+        const startRank = color === 'white' ? 1 : 6
+        pieces.push({
+          id: x + y * 8,
+          type,
+          moveCount: type === 'pawn' && y !== startRank ? 1 : 0,
+          color,
+          coord: [x, y]
+        })
+        x--
+      } else {
+        throw new Error(`Invalid FEN: unexpected '${c}' in rank ${8 - i}.`)
+      }
+    }
+    if (x !== -1) {
+      throw new Error(`Invalid FEN: rank ${8 - i} does not have 8 squares.`)
+    }
+  })
+
+  if (!['w', 'b'].includes(turn)) {
+    throw new Error('Invalid FEN: side to move must be w or b.')
+  }
+  const castlingPattern = variant === 'chess960'
+    ? /^(-|[KQA-H]{1,2}[kqa-h]{0,2}|[kqa-h]{1,2})$/
+    : /^(-|K?Q?k?q?)$/
+  if (!castlingPattern.test(castling) || castling === '') {
+    throw new Error('Invalid FEN: invalid castling rights.')
+  }
+  if (!/^\d+$/.test(halfmove) || !/^[1-9]\d*$/.test(fullmove)) {
+    throw new Error('Invalid FEN: invalid move counters.')
+  }
+
+  const game = {
+    pieces,
+    moveCount: (Number(fullmove) - 1) * 2 + (turn === 'b' ? 1 : 0),
+    halfmoveClock: Number(halfmove),
+    castling: {
+      white: parseCastlingField(castling, pieces, 'white', variant),
+      black: parseCastlingField(castling, pieces, 'black', variant)
+    },
+    ...(variant !== 'standard' && { variant }),
+    initialFEN: fields.join(' ')
+  }
+
+  if (enPassant !== '-') {
+    const target = squareToCoord(enPassant)
+    const direction = turn === 'w' ? -1 : 1
+    const pawn = target && getPieceAtPosition(
+      game,
+      target[0],
+      target[1] + direction)
+    if (
+      !target ||
+      target[1] !== (turn === 'w' ? 5 : 2) ||
+      !pawn ||
+      pawn.type !== 'pawn' ||
+      pawn.color !== (turn === 'w' ? 'black' : 'white') ||
+      getPieceAtPosition(game, ...target)
+    ) {
+      throw new Error('Invalid FEN: invalid en passant square.')
+    }
+
+    /* Recreate the state before the pawn moved forward two squares. */
+    game.prevState = {
+      ...game,
+      pieces: pieces.map(x => x === pawn
+        ? { ...x, moveCount: 0, coord: [target[0], target[1] - direction] }
+        : x),
+      moveCount: game.moveCount - 1
+    }
+  }
+
+  return game
+}
+
+/**
+ * Returns a sentence explaining why the given position can't be played, or
+ * undefined if it can: each side needs exactly one king, pawns can't be on the
+ * first or last rank, and the side which just moved can't be left in check.
+ */
+export function getPositionError (game) {
+  for (const color of ['white', 'black']) {
+    const kings = game.pieces.filter(x => (
+      x.type === 'king' && x.color === color
+    ))
+    if (kings.length !== 1) {
+      return `${color === 'white' ? 'White' : 'Black'} needs exactly one king.`
+    }
+  }
+  if (game.pieces.some(x => (
+    x.type === 'pawn' && (x.coord[1] === 0 || x.coord[1] === 7)
+  ))) {
+    return 'Pawns can\'t be on the first or last rank.'
+  }
+  const turn = getTurn(game)
+  if (isInCheck(game, turn === 'white' ? 'black' : 'white')) {
+    const checked = turn === 'white' ? 'Black' : 'White'
+    return `${checked} is in check, but it is ${turn}'s turn.`
+  }
+  return undefined
+}
+
+/**
+ * Returns the state the given game started from: the position of its
+ * initialFEN, or the starting position of its variant.
+ */
+export function getInitialGame (game) {
+  return game.initialFEN
+    ? fromFEN(game.initialFEN, { variant: game.variant })
+    : makeGame({ variant: game.variant, seed: game.seed })
+}
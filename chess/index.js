@@ -0,0 +1,12 @@
+export * from './chess.js'
+export * from './castling.js'
+export * from './variants.js'
+export * from './fen.js'
+export * from './moves.js'
+export * from './pgn.js'
+export * from './result.js'
+export * from './clock.js'
+export * from './takeback.js'
+export * from './rating.js'
+export * from './engine.js'
+export { perft, getOpponent } from './board.js'
@@ -0,0 +1,316 @@
+/*
+ * Moves, the move history and Standard Algebraic Notation (SAN).
+ *
+ * A move is an object of the form { from, to, promotion }, where from and to
+ * are coordinates and promotion is the type a pawn is promoted to, if any.
+ */
+
+import {
+  updatePiece,
+  getValidMoves,
+  getPieceAtPosition,
+  getEnPassantPiece,
+  getCastlingRook,
+  canMove,
+  isInCheck,
+  getTurn,
+  PIECE_NAMES
+} from './chess.js'
+import {
+  coordToSquare,
+  squareToCoord,
+  hashPosition,
+  getInitialGame
+} from './fen.js'
+import { getGameResult } from './result.js'
+import {
+  makeBoard,
+  generateLegalMoves,
+  getMoveTarget,
+  toCoord,
+  PROMOTION_TYPES
+} from './board.js'
+
+export { PROMOTION_TYPES }
+
+const typeToLetter = {
+  king: 'K',
+  queen: 'Q',
+  rook: 'R',
+  bishop: 'B',
+  knight: 'N'
+}
+
+const letterToType = {
+  K: 'king',
+  Q: 'queen',
+  R: 'rook',
+  B: 'bishop',
+  N: 'knight'
+}
+
+function coordsEqual (a, b) {
+  return a[0] === b[0] && a[1] === b[1]
+}
+
+/** Returns true if the two moves are the same. */
+export function movesEqual (a, b) {
+  return (
+    coordsEqual(a.from, b.from) &&
+    coordsEqual(a.to, b.to) &&
+    (a.promotion || undefined) === (b.promotion || undefined)
+  )
+}
+
+/** Returns a list of every legal move for the side to move. */
+export function getLegalMoves (game) {
+  const board = makeBoard(game)
+  return generateLegalMoves(board).map(x => {
+    const to = toCoord(getMoveTarget(board, x))
+    return x.promotion
+      ? { from: toCoord(x.from), to, promotion: x.promotion }
+      : { from: toCoord(x.from), to }
+  })
+}
+
+/** Returns the game state after the move, without checking if it is legal. */
+function applyMove (game, move) {
+  const piece = getPieceAtPosition(game, ...move.from)
+  return updatePiece(game, {
+    ...piece,
+    type: move.promotion || piece.type,
+    coord: move.to
+  })
+}
+
+/**
+ * Returns the given move written in Standard Algebraic Notation. The move must
+ * be legal in the given game state.
+ */
+export function getSAN (game, move) {
+  const piece = getPieceAtPosition(game, ...move.from)
+  const victim = getPieceAtPosition(game, ...move.to)
+  const isCapture = (
+    (victim && victim.color !== piece.color) ||
+    !!getEnPassantPiece(game, piece, ...move.to)
+  )
+  const rook = getCastlingRook(game, piece, ...move.to)
+
+  let san
+  if (rook) {
+    /* The king side is towards x = 0. */
+    san = rook.coord[0] < move.from[0] ? 'O-O' : 'O-O-O'
+  } else if (piece.type === 'pawn') {
+    san = (
+      (isCapture ? coordToSquare(move.from)[0] + 'x' : '') +
+      coordToSquare(move.to) +
+      (move.promotion ? '=' + typeToLetter[move.promotion] : '')
+    )
+  } else {
+    /* Find other pieces of the same type which could move to the square. */
+    const others = game.pieces.filter(x => (
+      x.id !== piece.id &&
+      x.type === piece.type &&
+      x.color === piece.color &&
+      getValidMoves(game, x).some(to => coordsEqual(to, move.to))
+    ))
+    const from = coordToSquare(move.from)
+    let disambiguation = ''
+    if (others.length > 0) {
+      if (!others.some(x => x.coord[0] === move.from[0])) {
+        disambiguation = from[0]
+      } else if (!others.some(x => x.coord[1] === move.from[1])) {
+        disambiguation = from[1]
+      } else {
+        disambiguation = from
+      }
+    }
+    san = (
+      typeToLetter[piece.type] +
+      disambiguation +
+      (isCapture ? 'x' : '') +
+      coordToSquare(move.to)
+    )
+  }
+
+  const next = applyMove(game, move)
+  const opponent = getTurn(next)
+  if (isInCheck(next, opponent)) {
+    san += canMove(next, opponent) ? '+' : '#'
+  }
+  return san
+}
+
+/**
+ * Returns the legal move described by the given SAN string, or undefined if
+ * there is no such move or the string is ambiguous.
+ */
+export function parseSAN (game, san) {
+  const text = san.trim().replace(/[+#?!]+$/, '')
+  const moves = getLegalMoves(game)
+  const turn = getTurn(game)
+
+  const castle = text.replace(/0/g, 'O')
+  if (castle === 'O-O' || castle === 'O-O-O') {
+    const matches = moves.filter(x => {
+      const piece = getPieceAtPosition(game, ...x.from)
+      const rook = getCastlingRook(game, piece, ...x.to)
+      return (
+        rook &&
+        piece.color === turn &&
+        (rook.coord[0] < x.from[0]) === (castle === 'O-O')
+      )
+    })
+    return matches.length === 1 ? matches[0] : undefined
+  }
+
+  const match = text.match(
+    /^([KQRBN])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([QRBN]))?$/
+  )
+  if (!match) {
+    return undefined
+  }
+  const [, letter, file, rank, square, promotion] = match
+  const type = letter ? letterToType[letter] : 'pawn'
+  const to = squareToCoord(square)
+  const matches = moves.filter(x => {
+    const from = coordToSquare(x.from)
+    const piece = getPieceAtPosition(game, ...x.from)
+    return (
+      piece.type === type &&
+      !getCastlingRook(game, piece, ...x.to) &&
+      coordsEqual(x.to, to) &&
+      (!file || from[0] === file) &&
+      (!rank || from[1] === rank) &&
+      (x.promotion || undefined) === (
+        promotion ? letterToType[promotion] : undefined
+      )
+    )
+  })
+  return matches.length === 1 ? matches[0] : undefined
+}
+
+/** Returns the given move in UCI notation, i.e. e2e4 or e7e8q. */
+export function toUCI (move) {
+  return (
+    coordToSquare(move.from) +
+    coordToSquare(move.to) +
+    (move.promotion ? typeToLetter[move.promotion].toLowerCase() : '')
+  )
+}
+
+function parseCoord (value) {
+  if (Array.isArray(value)) {
+    return value
+  }
+  return squareToCoord(value)
+}
+
+function parsePromotion (value) {
+  if (typeof value === 'string' && value.length === 1) {
+    return letterToType[value.toUpperCase()]
+  }
+  return value || undefined
+}
+
+/**
+ * Returns the legal move described by the given input, or undefined if the
+ * input does not describe a legal move. The input can be a SAN string such as
+ * 'Nf3', a UCI string such as 'g1f3', or an object of the form
+ * { from, to, promotion }. In the object, from and to are coordinates or
+ * square names, and promotion is a type or its letter.
+ */
+export function parseMove (game, input) {
+  if (typeof input === 'string') {
+    const uci = input.trim().match(/^([a-h][1-8])([a-h][1-8])([qrbn])?$/)
+    if (uci) {
+      return parseMove(game, { from: uci[1], to: uci[2], promotion: uci[3] })
+    }
+    return parseSAN(game, input)
+  } else if (input && typeof input === 'object') {
+    const move = {
+      from: parseCoord(input.from),
+      to: parseCoord(input.to),
+      promotion: parsePromotion(input.promotion)
+    }
+    if (move.from && move.to) {
+      return getLegalMoves(game).find(x => movesEqual(x, move))
+    }
+  }
+  return undefined
+}
+
+/**
+ * Makes the given move and returns the new game state, or undefined if the move
+ * is not legal or the game is over. The move is appended to the history of the
+ * game along with its SAN, and a hash of the resulting position used to detect
+ * repetition. If the move ends the game, the result is stored in the game.
+ *
+ * Moving instead of answering the opponent's draw offer declines it, and
+ * moving cancels any takeback request.
+ */
+export function makeMove (game, move) {
+  if (game.result) {
+    return undefined
+  }
+  const legalMove = getLegalMoves(game).find(x => movesEqual(x, move))
+  if (!legalMove) {
+    return undefined
+  }
+  const san = getSAN(game, legalMove)
+  const { drawOffer, takeback, ...next } = applyMove(game, legalMove)
+  const newGame = {
+    ...next,
+    ...(drawOffer === getTurn(game) && { drawOffer }),
+    history: [
+      ...(game.history || []),
+      { ...legalMove, san, position: hashPosition(next) }
+    ]
+  }
+  const result = getGameResult(newGame)
+  return result ? { ...newGame, result } : newGame
+}
+
+/** Returns the last move made in the game, or undefined if there is none. */
+export function getLastMove (game) {
+  return game.history && game.history[game.history.length - 1]
+}
+
+/**
+ * Returns every position of the game, replayed from its starting position, so
+ * that the position after the nth move is at index n. Pieces keep their ids
+ * from one position to the next, and the last position is the game itself.
+ */
+export function getPositions (game) {
+  const moves = game.history || []
+  const positions = [getInitialGame(game)]
+  moves.slice(0, -1).forEach((move) => {
+    positions.push(makeMove(positions[positions.length - 1], move))
+  })
+  return moves.length ? [...positions, game] : [game]
+}
+
+/**
+ * Returns true if state is the result of making a single legal move from
+ * prevState.
+ */
+export function isValidMove (prevState, state) {
+  /* Make sure state is a valid state. */
+  if (
+    !prevState ||
+    !state ||
+    !Array.isArray(state.pieces) ||
+    !state.pieces.every(x => (
+      PIECE_NAMES.includes(x.type) &&
+      Array.isArray(x.coord) &&
+      ['black', 'white'].includes(x.color) &&
+      x.id !== undefined
+    ))
+  ) {
+    return false
+  }
+
+  const move = getLastMove(state)
+  const nextState = move && makeMove(prevState, move)
+  return !!nextState && JSON.stringify(nextState) === JSON.stringify(state)
+}
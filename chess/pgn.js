@@ -0,0 +1,165 @@
+/*
+ * Import and export of games using Portable Game Notation (PGN).
+ */
+
+import { makeGame } from './chess.js'
+import { fromFEN, toFEN, getInitialGame } from './fen.js'
+import { makeMove, parseSAN } from './moves.js'
+import { getGameResult, getResultString } from './result.js'
+import { VARIANTS, getVariant } from './variants.js'
+
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*']
+
+/** The tags every PGN has, in the order they are written. */
+const SEVEN_TAG_ROSTER = {
+  Event: '?',
+  Site: '?',
+  Date: '????.??.??',
+  Round: '?',
+  White: '?',
+  Black: '?',
+  Result: '*'
+}
+
+/** Formats a Date (or timestamp) as a PGN date, i.e. 2021.03.04. */
+export function toPGNDate (date) {
+  const d = new Date(date)
+  return [
+    d.getUTCFullYear(),
+    String(d.getUTCMonth() + 1).padStart(2, '0'),
+    String(d.getUTCDate()).padStart(2, '0')
+  ].join('.')
+}
+
+function escapeTag (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+}
+
+/** Splits tokens into lines of at most 80 characters. */
+function wrap (tokens) {
+  const lines = []
+  let line = ''
+  tokens.forEach(token => {
+    if (line && line.length + token.length + 1 > 80) {
+      lines.push(line)
+      line = token
+    } else {
+      line = line ? line + ' ' + token : token
+    }
+  })
+  if (line) {
+    lines.push(line)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Returns a PGN string containing the move history of the given game. Tags are
+ * taken from the tags of the game (if it was imported from PGN) and the given
+ * tags, which take precedence. The Result tag is set if the game is over,
+ * games of other variants than standard chess have a Variant tag, and Chess960
+ * games have the FEN of their starting position.
+ */
+export function toPGN (game, tags = {}) {
+  const result = getGameResult(game)
+  const allTags = {
+    ...SEVEN_TAG_ROSTER,
+    ...game.tags,
+    ...(result && { Result: getResultString(result) }),
+    ...tags
+  }
+  const initial = getInitialGame(game)
+  if (game.variant) {
+    allTags.Variant = getVariant(game.variant).name
+  }
+  if (game.initialFEN || game.variant === 'chess960') {
+    allTags.SetUp = '1'
+    allTags.FEN = game.initialFEN || toFEN(initial)
+  }
+
+  const history = game.history || []
+  const tokens = []
+  history.forEach((entry, i) => {
+    const ply = initial.moveCount + i
+    const number = Math.floor(ply / 2) + 1
+    /* Keep move numbers on the same line as their move. */
+    if (ply % 2 === 0) {
+      tokens.push(`${number}. ${entry.san}`)
+    } else if (i === 0) {
+      tokens.push(`${number}... ${entry.san}`)
+    } else {
+      tokens.push(entry.san)
+    }
+  })
+  tokens.push(allTags.Result)
+
+  return (
+    Object.keys(allTags).map(key => (
+      `[${key} "${escapeTag(allTags[key])}"]`
+    )).join('\n') +
+    '\n\n' +
+    wrap(tokens) +
+    '\n'
+  )
+}
+
+/** Removes comments, variations and annotation glyphs from the movetext. */
+function stripMovetext (movetext) {
+  let text = movetext
+    .replace(/\{[^}]*\}/g, ' ')
+    .replace(/;[^\n]*/g, ' ')
+    .replace(/\$\d+/g, ' ')
+
+  /* Remove variations from the innermost outwards, since they can nest. */
+  let prev
+  do {
+    prev = text
+    text = text.replace(/\([^()]*\)/g, ' ')
+  } while (text !== prev)
+  return text
+}
+
+/**
+ * Creates a game from the given PGN string. The tags are kept as the tags of
+ * the game, and the Variant tag sets the variant of the game. Throws an error
+ * if the PGN is not valid or contains an illegal move.
+ */
+export function fromPGN (pgn) {
+  const tags = {}
+  const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/gm
+  let match
+  while ((match = tagPattern.exec(pgn)) !== null) {
+    tags[match[1]] = match[2].replace(/\\(.)/g, '$1')
+  }
+
+  const movetext = stripMovetext(pgn.replace(tagPattern, ''))
+  const tokens = movetext
+    .split(/\s+/)
+    .map(x => x.replace(/^\d+\.+/, ''))
+    .filter(x => x && !RESULTS.includes(x))
+
+  const variantName = (tags.Variant || '').toLowerCase()
+  const variant = variantName === 'fischerandom'
+    ? 'chess960'
+    : VARIANTS.find(x => getVariant(x).name.toLowerCase() === variantName) ||
+      'standard'
+  /* Without a FEN, a Chess960 game starts from the standard position. */
+  let game = tags.FEN
+    ? fromFEN(tags.FEN, { variant })
+    : makeGame({ variant, seed: 518 })
+  tokens.forEach(san => {
+    const move = parseSAN(game, san)
+    if (!move) {
+      throw new Error(`Invalid PGN: illegal move '${san}'.`)
+    }
+    game = makeMove(game, move)
+    if (!game) {
+      throw new Error(`Invalid PGN: the game was already over before '${san}'.`)
+    }
+  })
+
+  return {
+    ...game,
+    tags
+  }
+}
@@ -0,0 +1,143 @@
+/*
+ * Player ratings.
+ *
+ * Ratings use the Glicko-2 system, where each player has a rating, a rating
+ * deviation measuring how unsure the rating is, and a volatility measuring how
+ * erratic the player's results are. Each finished game is treated as its own
+ * rating period, so ratings change straight after every game.
+ */
+
+/* The rating, deviation and volatility of a new player. */
+const INITIAL_RATING = 1500
+const INITIAL_DEVIATION = 350
+const INITIAL_VOLATILITY = 0.06
+
+/* Constrains how much the volatility can change. */
+const TAU = 0.5
+
+/* Converts between the Glicko and Glicko-2 scales. */
+const SCALE = 173.7178
+
+/* The precision to find the new volatility to. */
+const EPSILON = 0.000001
+
+/**
+ * Returns the rating of a new player, of the form
+ * { rating, deviation, volatility }.
+ */
+export function makeRating () {
+  return {
+    rating: INITIAL_RATING,
+    deviation: INITIAL_DEVIATION,
+    volatility: INITIAL_VOLATILITY
+  }
+}
+
+function g (phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI))
+}
+
+/*
+ * Returns the new volatility, found by solving for where f is zero with the
+ * Illinois algorithm, as in step 5 of Glickman's description of Glicko-2.
+ */
+function getNewVolatility (phi, sigma, delta, v) {
+  const a = Math.log(sigma * sigma)
+  const f = (x) => {
+    const ex = Math.exp(x)
+    const d = phi * phi + v + ex
+    return (ex * (delta * delta - d)) / (2 * d * d) - (x - a) / (TAU * TAU)
+  }
+  let A = a
+  let B
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v)
+  } else {
+    let k = 1
+    while (f(a - k * TAU) < 0) {
+      k++
+    }
+    B = a - k * TAU
+  }
+  let fA = f(A)
+  let fB = f(B)
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + (A - B) * fA / (fB - fA)
+    const fC = f(C)
+    if (fC * fB <= 0) {
+      A = B
+      fA = fB
+    } else {
+      fA = fA / 2
+    }
+    B = C
+    fB = fC
+  }
+  return Math.exp(A / 2)
+}
+
+/**
+ * Returns the player's new rating after a rating period with the given
+ * results, each of the form { opponent, score }, where opponent is the
+ * opponent's rating, and score is 1 for a win, 0.5 for a draw and 0 for a
+ * loss.
+ */
+export function updateRating (player, results) {
+  const mu = (player.rating - INITIAL_RATING) / SCALE
+  const phi = player.deviation / SCALE
+  const sigma = player.volatility
+  if (results.length === 0) {
+    const deviation = Math.sqrt(phi * phi + sigma * sigma) * SCALE
+    return { ...player, deviation: Math.min(deviation, INITIAL_DEVIATION) }
+  }
+
+  const games = results.map(({ opponent, score }) => {
+    const muJ = (opponent.rating - INITIAL_RATING) / SCALE
+    const gJ = g(opponent.deviation / SCALE)
+    const expected = 1 / (1 + Math.exp(-gJ * (mu - muJ)))
+    return { gJ, expected, score }
+  })
+  const v = 1 / games.reduce((sum, { gJ, expected }) => (
+    sum + gJ * gJ * expected * (1 - expected)
+  ), 0)
+  const improvement = games.reduce((sum, { gJ, expected, score }) => (
+    sum + gJ * (score - expected)
+  ), 0)
+
+  const volatility = getNewVolatility(phi, sigma, v * improvement, v)
+  const phiStar = Math.sqrt(phi * phi + volatility * volatility)
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v)
+  const newMu = mu + newPhi * newPhi * improvement
+  return {
+    rating: newMu * SCALE + INITIAL_RATING,
+    deviation: Math.min(newPhi * SCALE, INITIAL_DEVIATION),
+    volatility
+  }
+}
+
+/**
+ * Returns the score of the given color in a game with the given result: 1 for
+ * a win, 0.5 for a draw and 0 for a loss.
+ */
+export function getScore (result, color) {
+  if (!result.winner) {
+    return 0.5
+  }
+  return result.winner === color ? 1 : 0
+}
+
+/**
+ * Returns the new ratings of both players after a game with the given result,
+ * given their ratings before it, of the form { white, black }.
+ */
+export function rateGame (ratings, result) {
+  const { white, black } = ratings
+  return {
+    white: updateRating(white, [
+      { opponent: black, score: getScore(result, 'white') }
+    ]),
+    black: updateRating(black, [
+      { opponent: white, score: getScore(result, 'black') }
+    ])
+  }
+}
@@ -0,0 +1,195 @@
+/*
+ * Detecting the end of the game.
+ */
+
+import { getOpponent } from './board.js'
+import { canMove, isInCheck, getTurn } from './chess.js'
+import { getInitialGame, hashPosition } from './fen.js'
+import { getVariant } from './variants.js'
+
+/**
+ * Returns true if neither side has enough material to checkmate, i.e. king
+ * against king, king and a minor piece against king, or kings and bishops
+ * which are all on squares of the same color. Variants which are won in other
+ * ways can decide this for themselves.
+ */
+export function hasInsufficientMaterial (game) {
+  const rules = getVariant(game.variant)
+  if (rules.hasInsufficientMaterial) {
+    return rules.hasInsufficientMaterial(game)
+  }
+  const pieces = game.pieces.filter(x => x.type !== 'king')
+  if (pieces.some(x => !['bishop', 'knight'].includes(x.type))) {
+    return false
+  }
+  if (pieces.length <= 1) {
+    return true
+  }
+  const squareColors = pieces.map(x => (x.coord[0] + x.coord[1]) % 2)
+  return (
+    pieces.every(x => x.type === 'bishop') &&
+    squareColors.every(x => x === squareColors[0])
+  )
+}
+
+/**
+ * Returns the number of times the current position has occurred in the game,
+ * based on the position hashes in the move history.
+ */
+export function getRepetitionCount (game) {
+  const history = game.history || []
+  if (history.length === 0) {
+    return 1
+  }
+  const positions = [hashPosition(getInitialGame(game)), ...history.map(x => x.position)]
+  const current = positions[positions.length - 1]
+  return positions.filter(x => x === current).length
+}
+
+/**
+ * Returns the result of the game, or undefined if the game is not over. The
+ * result is of the form { status, winner, reason }, where status is one of
+ * 'checkmate', 'stalemate', 'draw', 'resigned', 'timeout' or 'variant' (won by
+ * a rule of the variant of the game), winner is the winning color (undefined
+ * for a draw) and reason describes why the game ended.
+ *
+ * Once the game is over, its result is stored as game.result. Results which
+ * can't be worked out from the position, such as resigning, are only stored
+ * there.
+ */
+export function getGameResult (game) {
+  const turn = getTurn(game)
+  const rules = getVariant(game.variant)
+  const variantResult = rules.getResult && rules.getResult(game)
+  if (game.result) {
+    return game.result
+  } else if (variantResult) {
+    return variantResult
+  } else if (!canMove(game, turn)) {
+    if (isInCheck(game, turn)) {
+      return {
+        status: 'checkmate',
+        winner: getOpponent(turn),
+        reason: 'checkmate'
+      }
+    } else {
+      return { status: 'stalemate', reason: 'stalemate' }
+    }
+  } else if (hasInsufficientMaterial(game)) {
+    return { status: 'draw', reason: 'insufficient material' }
+  } else if (game.halfmoveClock >= 150) {
+    return { status: 'draw', reason: 'seventy-five-move rule' }
+  } else if (getRepetitionCount(game) >= 5) {
+    return { status: 'draw', reason: 'fivefold repetition' }
+  }
+  return undefined
+}
+
+/**
+ * Returns the reason the side to move can claim a draw, i.e. 'threefold
+ * repetition' or 'fifty-move rule', or undefined if they can't. The game only
+ * ends by itself after fivefold repetition or 75 moves.
+ */
+export function getDrawClaim (game) {
+  if (getGameResult(game)) {
+    return undefined
+  } else if (getRepetitionCount(game) >= 3) {
+    return 'threefold repetition'
+  } else if (game.halfmoveClock >= 100) {
+    return 'fifty-move rule'
+  }
+  return undefined
+}
+
+/**
+ * Returns the game with the given result stored, ending the game. Any pending
+ * takeback request is dropped, as the game can no longer be taken back.
+ */
+export function endGame (game, result) {
+  const { takeback, ...rest } = game
+  return {
+    ...rest,
+    result
+  }
+}
+
+/**
+ * Returns the game after the given color resigns, or undefined if the game is
+ * already over.
+ */
+export function resign (game, color) {
+  if (getGameResult(game)) {
+    return undefined
+  }
+  const { drawOffer, ...rest } = game
+  return endGame(rest, {
+    status: 'resigned',
+    winner: getOpponent(color),
+    reason: `${color} resigned`
+  })
+}
+
+/**
+ * Returns the game after the given color claims a draw, or undefined if it
+ * isn't their turn or they can't claim one.
+ */
+export function claimDraw (game, color) {
+  const reason = getDrawClaim(game)
+  if (!reason || getTurn(game) !== color) {
+    return undefined
+  }
+  const { drawOffer, ...rest } = game
+  return endGame(rest, { status: 'draw', reason })
+}
+
+/**
+ * Returns the game with a draw offered by the given color, which is stored as
+ * game.drawOffer until the opponent accepts or declines it. Returns undefined
+ * if the game is over or the color has already offered a draw.
+ */
+export function offerDraw (game, color) {
+  if (getGameResult(game) || game.drawOffer === color) {
+    return undefined
+  }
+  return {
+    ...game,
+    drawOffer: color
+  }
+}
+
+/**
+ * Returns the game after the given color accepts their opponent's draw offer,
+ * or undefined if there is no such offer.
+ */
+export function acceptDraw (game, color) {
+  if (getGameResult(game) || game.drawOffer !== getOpponent(color)) {
+    return undefined
+  }
+  const { drawOffer, ...rest } = game
+  return endGame(rest, { status: 'draw', reason: 'agreement' })
+}
+
+/**
+ * Returns the game after the given color declines their opponent's draw offer,
+ * or undefined if there is no such offer.
+ */
+export function declineDraw (game, color) {
+  if (getGameResult(game) || game.drawOffer !== getOpponent(color)) {
+    return undefined
+  }
+  const { drawOffer, ...rest } = game
+  return rest
+}
+
+/** Returns the result as written in PGN, i.e. '1-0', '0-1', '1/2-1/2' or '*'. */
+export function getResultString (result) {
+  if (!result) {
+    return '*'
+  } else if (result.winner === 'white') {
+    return '1-0'
+  } else if (result.winner === 'black') {
+    return '0-1'
+  } else {
+    return '1/2-1/2'
+  }
+}
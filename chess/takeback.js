@@ -0,0 +1,89 @@
+/*
+ * Taking back moves.
+ *
+ * A player asks to take back their last move, which is stored as
+ * game.takeback of the form { color, count } until the opponent accepts or
+ * declines it. count is the number of moves to undo: one if the opponent
+ * hasn't replied yet, or two to also undo the opponent's reply.
+ */
+
+import { getTurn } from './chess.js'
+import { getInitialGame } from './fen.js'
+import { makeMove } from './moves.js'
+import { getGameResult } from './result.js'
+
+/**
+ * Returns the game with the last count moves undone, or undefined if fewer
+ * moves than that have been made. The game is replayed from its starting
+ * position, and any result, draw offer or takeback request is removed.
+ */
+export function undoMoves (game, count = 1) {
+  const moves = game.history || []
+  if (count < 1 || count > moves.length) {
+    return undefined
+  }
+  const initial = getInitialGame(game)
+  const replayed = moves
+    .slice(0, moves.length - count)
+    .reduce((state, move) => makeMove(state, move), initial)
+  const {
+    result,
+    drawOffer,
+    takeback,
+    prevState,
+    history,
+    ...rest
+  } = game
+  return {
+    ...rest,
+    ...replayed,
+    history: replayed.history || []
+  }
+}
+
+/**
+ * Returns the game with a takeback of the given color's last move requested,
+ * or undefined if the game is over, a takeback has already been requested, or
+ * the color hasn't moved yet.
+ */
+export function requestTakeback (game, color) {
+  const count = getTurn(game) === color ? 2 : 1
+  if (
+    getGameResult(game) ||
+    game.takeback ||
+    (game.history || []).length < count
+  ) {
+    return undefined
+  }
+  return {
+    ...game,
+    takeback: { color, count }
+  }
+}
+
+/**
+ * Returns the game after the given color accepts their opponent's takeback
+ * request, or undefined if there is no such request or the game is over.
+ */
+export function acceptTakeback (game, color) {
+  if (
+    getGameResult(game) ||
+    !game.takeback ||
+    game.takeback.color === color
+  ) {
+    return undefined
+  }
+  return undoMoves(game, game.takeback.count)
+}
+
+/**
+ * Returns the game after the given color declines their opponent's takeback
+ * request, or undefined if there is no such request.
+ */
+export function declineTakeback (game, color) {
+  if (!game.takeback || game.takeback.color === color) {
+    return undefined
+  }
+  const { takeback, ...rest } = game
+  return rest
+}
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { perft, fromFEN, STARTING_FEN } from '../index.js'
+
+/*
+ * Positions from the standard perft test set, with the number of move
+ * sequences of each length from the position.
+ */
+const POSITIONS = [
+  {
+    name: 'the starting position',
+    fen: STARTING_FEN,
+    counts: [20, 400, 8902, 197281]
+  },
+  {
+    name: 'Kiwipete',
+    fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    counts: [48, 2039, 97862]
+  },
+  {
+    name: 'position 3',
+    fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    counts: [14, 191, 2812, 43238]
+  },
+  {
+    name: 'position 4',
+    fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    counts: [6, 264, 9467]
+  },
+  {
+    name: 'position 5',
+    fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    counts: [44, 1486, 62379]
+  },
+  {
+    name: 'position 6',
+    fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+    counts: [46, 2079, 89890]
+  }
+]
+
+/* Chess960 positions from the Chess960 perft test set. */
+const CHESS960_POSITIONS = [
+  {
+    name: 'Chess960 position 1',
+    fen: 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+    counts: [21, 528, 12189, 326672]
+  },
+  {
+    name: 'Chess960 position 2',
+    fen: '2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9',
+    counts: [21, 807, 18002]
+  },
+  {
+    name: 'Chess960 position 3',
+    fen: 'b1q1rrkb/pppppppp/3nn3/8/P7/1PPP4/4PPPP/BQNNRKRB w GFg - 0 9',
+    counts: [20, 479, 10471]
+  }
+]
+
+/* Positions of other variants, with counts from other move generators. */
+const VARIANT_POSITIONS = [
+  {
+    name: 'the starting position in Atomic',
+    variant: 'atomic',
+    fen: STARTING_FEN,
+    counts: [20, 400, 8902, 197326]
+  }
+]
+
+function testPositions (positions, defaultVariant) {
+  positions.forEach(({ name, fen, counts, variant = defaultVariant }) => {
+    it(`counts the moves from ${name}`, () => {
+      const game = fromFEN(fen, { variant })
+      counts.forEach((count, i) => {
+        assert.equal(perft(game, i + 1), count, `depth ${i + 1}`)
+      })
+    })
+  })
+}
+
+describe('perft', () => {
+  testPositions(POSITIONS, 'standard')
+  testPositions(CHESS960_POSITIONS, 'chess960')
+  testPositions(VARIANT_POSITIONS)
+})
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import { makeRating, updateRating, rateGame } from '../index.js'
+
+/* Asserts a and b are equal to the given number of decimal places. */
+function assertClose (a, b, places) {
+  assert.ok(
+    Math.abs(a - b) < 0.5 * 10 ** -places,
+    `expected ${a} to be close to ${b}`
+  )
+}
+
+describe('ratings', () => {
+  it('follows the example from the description of Glicko-2', () => {
+    const player = { rating: 1500, deviation: 200, volatility: 0.06 }
+    const rating = updateRating(player, [
+      { opponent: { rating: 1400, deviation: 30 }, score: 1 },
+      { opponent: { rating: 1550, deviation: 100 }, score: 0 },
+      { opponent: { rating: 1700, deviation: 300 }, score: 0 }
+    ])
+    /* The description rounds along the way, so only agrees to a point. */
+    assertClose(rating.rating, 1464.06, 1)
+    assertClose(rating.deviation, 151.52, 1)
+    assertClose(rating.volatility, 0.06, 4)
+  })
+
+  it('moves the winner up and the loser down by the same amount', () => {
+    const ratings = rateGame(
+      { white: makeRating(), black: makeRating() },
+      { status: 'checkmate', winner: 'white' }
+    )
+    assert.ok(ratings.white.rating > 1500)
+    assertClose(ratings.white.rating - 1500, 1500 - ratings.black.rating, 6)
+    assert.ok(ratings.white.deviation < makeRating().deviation)
+  })
+
+  it('leaves equal players level after a draw', () => {
+    const ratings = rateGame(
+      { white: makeRating(), black: makeRating() },
+      { status: 'draw', reason: 'agreement' }
+    )
+    assertClose(ratings.white.rating, 1500, 6)
+    assertClose(ratings.black.rating, 1500, 6)
+  })
+
+  it('grows the deviation of a player who has not played', () => {
+    const player = { rating: 1700, deviation: 50, volatility: 0.06 }
+    const rating = updateRating(player, [])
+    assert.equal(rating.rating, 1700)
+    assert.ok(rating.deviation > 50)
+  })
+})
@@ -0,0 +1,604 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+
+import {
+  makeGame,
+  makeMove,
+  parseMove,
+  getLegalMoves,
+  getValidMoves,
+  getPieceAtPosition,
+  getAttackedSquares,
+  getGameResult,
+  getCastling,
+  isInCheck,
+  isValidMove,
+  fromFEN,
+  toFEN,
+  getPositionError,
+  squareToCoord,
+  undoMoves,
+  getPositions,
+  toPGN,
+  fromPGN,
+  findBestMove,
+  getDrawClaim,
+  claimDraw,
+  resign,
+  requestTakeback,
+  acceptTakeback,
+  makeClock,
+  pressClock,
+  checkFlag
+} from '../index.js'
+
+/* Plays the given moves, written in SAN, failing if any of them is illegal. */
+function play (game, ...moves) {
+  return moves.reduce((game, san) => {
+    const move = parseMove(game, san)
+    assert.ok(move, `${san} should be legal in ${toFEN(game)}`)
+    return makeMove(game, move)
+  }, game)
+}
+
+function isLegal (game, san) {
+  return !!parseMove(game, san)
+}
+
+function pieceAt (game, square) {
+  return getPieceAtPosition(game, ...squareToCoord(square))
+}
+
+describe('castling', () => {
+  it('is allowed on both sides when the way is clear', () => {
+    const game = fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1')
+    assert.ok(isLegal(game, 'O-O'))
+    assert.ok(isLegal(game, 'O-O-O'))
+  })
+
+  it('moves the rook next to the king', () => {
+    const game = fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1')
+    assert.equal(
+      toFEN(play(game, 'O-O', 'O-O-O')),
+      '2kr3r/8/8/8/8/8/8/R4RK1 w - - 2 2'
+    )
+  })
+
+  it('is not allowed out of check', () => {
+    const game = fromFEN('4k3/4r3/8/8/8/8/8/R3K2R w KQ - 0 1')
+    assert.ok(!isLegal(game, 'O-O'))
+    assert.ok(!isLegal(game, 'O-O-O'))
+  })
+
+  it('is not allowed through an attacked square', () => {
+    const game = fromFEN('4k3/5r2/8/8/8/8/8/R3K2R w KQ - 0 1')
+    assert.ok(!isLegal(game, 'O-O'))
+    assert.ok(isLegal(game, 'O-O-O'))
+  })
+
+  it('is not allowed into check', () => {
+    const game = fromFEN('4k3/6r1/8/8/8/8/8/R3K2R w KQ - 0 1')
+    assert.ok(!isLegal(game, 'O-O'))
+  })
+
+  it('is allowed when only the rook passes an attacked square', () => {
+    const game = fromFEN('4k3/1r6/8/8/8/8/8/R3K2R w KQ - 0 1')
+    assert.ok(isLegal(game, 'O-O-O'))
+  })
+
+  it('is not allowed with pieces in the way', () => {
+    const game = fromFEN('r3k2r/8/8/8/8/8/8/RN2K1NR w KQkq - 0 1')
+    assert.ok(!isLegal(game, 'O-O'))
+    assert.ok(!isLegal(game, 'O-O-O'))
+  })
+
+  it('is not allowed once the king has moved', () => {
+    const game = play(
+      fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1'),
+      'Kf1', 'Kf8', 'Ke1', 'Ke8'
+    )
+    assert.ok(!isLegal(game, 'O-O'))
+    assert.ok(!isLegal(game, 'O-O-O'))
+  })
+
+  it('is not allowed with a rook which has moved', () => {
+    const game = play(
+      fromFEN('r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1'),
+      'Rh2', 'Rh7', 'Rh1', 'Rh8'
+    )
+    assert.ok(!isLegal(game, 'O-O'))
+    assert.ok(isLegal(game, 'O-O-O'))
+  })
+
+  it('is not allowed once the rook is captured and replaced', () => {
+    const game = play(
+      fromFEN('r3k2r/8/8/8/8/7R/6b1/R3K2R b KQkq - 0 1'),
+      'Bxh1', 'Rxh1', 'Kd8'
+    )
+    assert.ok(!isLegal(game, 'O-O'))
+    assert.ok(isLegal(game, 'O-O-O'))
+  })
+
+  it('stores the rights in the game state', () => {
+    assert.deepEqual(makeGame().castling, { white: [0, 7], black: [0, 7] })
+    const game = play(makeGame(), 'e4', 'e5', 'Ke2', 'Nf6', 'Kd3', 'Rg8')
+    assert.deepEqual(game.castling, { white: [], black: [7] })
+    assert.equal(toFEN(game).split(' ')[2], 'q')
+  })
+
+  it('drops rights from a FEN without the king and rook in place', () => {
+    const game = fromFEN('r3k3/8/8/8/8/8/8/4K2R w KQkq - 0 1')
+    assert.equal(toFEN(game).split(' ')[2], 'Kq')
+    assert.ok(!isLegal(game, 'O-O-O'))
+  })
+
+  it('works out the rights of games without them', () => {
+    const { castling, ...game } = play(makeGame(), 'h4', 'e5', 'Rh3')
+    assert.deepEqual(getCastling(game), { white: [7], black: [0, 7] })
+  })
+})
+
+describe('Chess960', () => {
+  const chess960 = (fen) => fromFEN(fen, { variant: 'chess960' })
+
+  it('sets up the numbered starting positions', () => {
+    const game = makeGame({ variant: 'chess960', seed: 518 })
+    assert.equal(toFEN(game), toFEN(makeGame()))
+    assert.equal(
+      toFEN(makeGame({ variant: 'chess960', seed: 0 })),
+      'bbqnnrkr/pppppppp/8/8/8/8/PPPPPPPP/BBQNNRKR w KQkq - 0 1'
+    )
+  })
+
+  it('sets up the same position for the same seed', () => {
+    const a = makeGame({ variant: 'chess960', seed: 1234 })
+    const b = makeGame({ variant: 'chess960', seed: 1234 })
+    assert.deepEqual(a, b)
+    assert.equal(a.seed, 1234 % 960)
+  })
+
+  it('castles by moving the king onto the rook', () => {
+    const game = chess960('rk5r/8/8/8/8/8/8/RK5R w KQkq - 0 1')
+    const move = parseMove(game, 'O-O-O')
+    assert.deepEqual(move, { from: squareToCoord('b1'), to: squareToCoord('a1') })
+    const next = play(game, 'O-O-O')
+    assert.equal(pieceAt(next, 'c1').type, 'king')
+    assert.equal(pieceAt(next, 'd1').type, 'rook')
+    assert.equal(toFEN(next), 'rk5r/8/8/8/8/8/8/2KR3R b kq - 1 1')
+  })
+
+  it('castles when the king is already on its square', () => {
+    const game = chess960('4k3/8/8/8/8/8/8/1R4KR w KQ - 0 1')
+    const next = play(game, 'O-O')
+    assert.equal(pieceAt(next, 'g1').type, 'king')
+    assert.equal(pieceAt(next, 'f1').type, 'rook')
+  })
+
+  it('is not allowed with a piece on the square the rook ends up on', () => {
+    const game = chess960('4k3/8/8/8/8/8/8/5NKR w K - 0 1')
+    assert.ok(!isLegal(game, 'O-O'))
+  })
+
+  it('is not allowed through an attacked square', () => {
+    const game = chess960('rk2r3/8/8/8/8/8/8/RK5R w KQ - 0 1')
+    assert.ok(!isLegal(game, 'O-O'))
+  })
+
+  it('writes rights to inner rooks as their file', () => {
+    const game = chess960('4k3/8/8/8/8/8/8/RR2K2R w BK - 0 1')
+    assert.equal(toFEN(game).split(' ')[2], 'KB')
+  })
+
+  it('keeps the position when taking back a move', () => {
+    const game = play(makeGame({ variant: 'chess960', seed: 0 }), 'g3', 'g6')
+    assert.deepEqual(
+      undoMoves(game, 2).pieces,
+      makeGame({ variant: 'chess960', seed: 0 }).pieces
+    )
+  })
+
+  it('round trips through PGN', () => {
+    const game = play(makeGame({ variant: 'chess960', seed: 42 }), 'e4', 'e5')
+    assert.equal(toFEN(fromPGN(toPGN(game))), toFEN(game))
+  })
+})
+
+describe('variants', () => {
+  it('wins King of the Hill by moving the king to the center', () => {
+    const game = play(
+      makeGame({ variant: 'kingOfTheHill' }),
+      'e4', 'a6', 'Ke2', 'a5', 'Kd3', 'a4', 'Kd4'
+    )
+    assert.deepEqual(getGameResult(game), {
+      status: 'variant',
+      winner: 'white',
+      reason: 'king of the hill'
+    })
+  })
+
+  it('counts checks in Three-check', () => {
+    const game = play(
+      makeGame({ variant: 'threeCheck' }),
+      'e4', 'f6', 'Qh5+', 'g6', 'Qxg6+', 'hxg6'
+    )
+    assert.deepEqual(game.checks, { white: 2, black: 0 })
+    assert.equal(getGameResult(game), undefined)
+  })
+
+  it('wins Three-check with the third check', () => {
+    const game = fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 0 1', {
+      variant: 'threeCheck'
+    })
+    const next = play({ ...game, checks: { white: 2, black: 0 } }, 'Ra8+')
+    assert.equal(getGameResult(next).winner, 'white')
+  })
+
+  it('explodes the pieces around a capture in Atomic', () => {
+    const game = play(
+      makeGame({ variant: 'atomic' }),
+      'Nf3', 'd5', 'Ne5', 'Nd7', 'Nxd7'
+    )
+    assert.equal(pieceAt(game, 'd7'), undefined)
+    assert.equal(pieceAt(game, 'c8'), undefined)
+    assert.equal(pieceAt(game, 'd8'), undefined)
+    assert.equal(pieceAt(game, 'e8'), undefined)
+    assert.equal(pieceAt(game, 'c7').type, 'pawn')
+    assert.equal(getGameResult(game).reason, 'explosion')
+  })
+
+  it('keeps the king from capturing in Atomic', () => {
+    const game = fromFEN('4k3/8/8/8/8/8/4p3/4K3 w - - 0 1', {
+      variant: 'atomic'
+    })
+    assert.ok(!isLegal(game, 'Kxe2'))
+  })
+
+  it('forbids captures which explode your own king in Atomic', () => {
+    const game = fromFEN('4k3/8/8/8/8/8/3p4/2Q1K3 w - - 0 1', {
+      variant: 'atomic'
+    })
+    assert.ok(!isLegal(game, 'Qxd2'))
+  })
+
+  it('only draws for lack of material when the variant can\'t be won', () => {
+    const loneKings = '4k3/8/8/8/8/8/8/4K3 w - - 0 1'
+    const knight = '4k3/8/8/8/8/8/8/4KN2 w - - 0 1'
+    assert.equal(
+      getGameResult(fromFEN(loneKings, { variant: 'kingOfTheHill' })),
+      undefined
+    )
+    assert.equal(
+      getGameResult(fromFEN(knight, { variant: 'threeCheck' })),
+      undefined
+    )
+    assert.equal(
+      getGameResult(fromFEN(knight, { variant: 'atomic' })),
+      undefined
+    )
+    for (const variant of ['threeCheck', 'atomic']) {
+      assert.equal(
+        getGameResult(fromFEN(loneKings, { variant })).reason,
+        'insufficient material'
+      )
+    }
+    assert.equal(
+      getGameResult(fromFEN(knight)).reason,
+      'insufficient material'
+    )
+  })
+
+  it('allows kings to touch in Atomic', () => {
+    const game = fromFEN('8/8/8/8/8/3k4/8/4K2r w - - 0 1', {
+      variant: 'atomic'
+    })
+    assert.ok(isInCheck(game, 'white'))
+    assert.ok(isLegal(game, 'Ke2'))
+    assert.ok(!isInCheck(play(game, 'Ke2'), 'white'))
+  })
+})
+
+describe('en passant', () => {
+  it('is allowed straight after the pawn moves two squares', () => {
+    const game = play(makeGame(), 'e4', 'a6', 'e5', 'd5')
+    const next = play(game, 'exd6')
+    assert.equal(pieceAt(next, 'd5'), undefined)
+    assert.equal(pieceAt(next, 'd6').type, 'pawn')
+  })
+
+  it('is not allowed a move later', () => {
+    const game = play(makeGame(), 'e4', 'a6', 'e5', 'd5', 'Nf3', 'a5')
+    assert.ok(!isLegal(game, 'exd6'))
+  })
+
+  it('is not allowed after a pawn moves one square twice', () => {
+    const game = play(makeGame(), 'e4', 'd6', 'e5', 'd5')
+    assert.ok(!isLegal(game, 'exd6'))
+  })
+
+  it('is not allowed when it leaves the king in check', () => {
+    const game = fromFEN('8/8/8/KPp4r/8/8/8/4k3 w - c6 0 1')
+    assert.ok(!isLegal(game, 'bxc6'))
+  })
+
+  it('is only read from FEN behind a pawn of the side that just moved', () => {
+    const game = fromFEN('4k3/8/8/3Pp3/8/8/8/4K3 w - e6 0 1')
+    assert.ok(isLegal(game, 'dxe6'))
+    assert.throws(() => fromFEN('4k3/8/8/4P3/8/8/8/4K3 w - e6 0 1'))
+    assert.throws(() => fromFEN('4k3/8/8/8/4p3/8/8/4K3 b - e3 0 1'))
+  })
+})
+
+describe('promotion', () => {
+  it('is allowed to each type', () => {
+    const game = fromFEN('8/P7/8/8/8/8/8/k6K w - - 0 1')
+    const promotions = getLegalMoves(game).filter(x => x.promotion)
+    assert.deepEqual(
+      promotions.map(x => x.promotion).sort(),
+      ['bishop', 'knight', 'queen', 'rook']
+    )
+    assert.equal(pieceAt(play(game, 'a8=N'), 'a8').type, 'knight')
+  })
+
+  it('is required when a pawn reaches the last rank', () => {
+    const game = fromFEN('8/P7/8/8/8/8/8/k6K w - - 0 1')
+    const move = { from: squareToCoord('a7'), to: squareToCoord('a8') }
+    assert.equal(makeMove(game, move), undefined)
+  })
+
+  it('is allowed when capturing', () => {
+    const game = fromFEN('1r6/P7/8/8/8/8/8/k6K w - - 0 1')
+    const next = play(game, 'axb8=Q')
+    assert.equal(pieceAt(next, 'b8').type, 'queen')
+    assert.equal(pieceAt(next, 'b8').color, 'white')
+  })
+})
+
+describe('pins and discovered checks', () => {
+  it('keeps a pinned piece from leaving the line of the pin', () => {
+    const game = fromFEN('4k3/4r3/8/8/8/8/4B3/4K3 w - - 0 1')
+    assert.deepEqual(getValidMoves(game, pieceAt(game, 'e2')), [])
+  })
+
+  it('lets a pinned piece move along the line of the pin', () => {
+    const game = fromFEN('4k3/4r3/8/8/8/8/4R3/4K3 w - - 0 1')
+    const moves = getValidMoves(game, pieceAt(game, 'e2'))
+    assert.equal(moves.length, 5)
+    assert.ok(moves.every(x => x[0] === squareToCoord('e2')[0]))
+  })
+
+  it('gives check when a piece moves out of the way', () => {
+    const game = fromFEN('4k3/8/8/8/8/8/4N3/4R1K1 w - - 0 1')
+    const move = parseMove(game, 'Nc3')
+    const next = makeMove(game, move)
+    assert.ok(isInCheck(next, 'black'))
+    assert.equal(next.history[0].san, 'Nc3+')
+  })
+
+  it('keeps the king from moving into check', () => {
+    const game = fromFEN('4k3/8/8/8/8/8/3r4/4K3 w - - 0 1')
+    assert.ok(!isLegal(game, 'Kd1'))
+    assert.ok(!isLegal(game, 'Kf2'))
+    assert.ok(isLegal(game, 'Kxd2'))
+  })
+})
+
+describe('the end of the game', () => {
+  it('detects checkmate', () => {
+    const game = play(makeGame(), 'f3', 'e5', 'g4', 'Qh4')
+    assert.equal(game.history[3].san, 'Qh4#')
+    assert.deepEqual(getGameResult(game), {
+      status: 'checkmate',
+      winner: 'black',
+      reason: 'checkmate'
+    })
+    assert.equal(getLegalMoves(game).length, 0)
+  })
+
+  it('detects stalemate', () => {
+    const game = fromFEN('k7/8/1Q6/8/8/8/8/7K b - - 0 1')
+    assert.ok(!isInCheck(game, 'black'))
+    assert.equal(getGameResult(game).status, 'stalemate')
+  })
+
+  it('refuses moves once the game is over', () => {
+    const game = play(makeGame(), 'f3', 'e5', 'g4', 'Qh4')
+    assert.equal(makeMove(game, getLegalMoves(makeGame())[0]), undefined)
+  })
+
+  it('lets the side to move claim a draw by threefold repetition', () => {
+    const shuffle = ['Nf3', 'Nf6', 'Ng1', 'Ng8']
+    const game = play(makeGame(), ...shuffle, ...shuffle)
+    assert.equal(getGameResult(game), undefined)
+    assert.equal(getDrawClaim(game), 'threefold repetition')
+    assert.equal(claimDraw(game, 'black'), undefined)
+    assert.deepEqual(claimDraw(game, 'white').result, {
+      status: 'draw',
+      reason: 'threefold repetition'
+    })
+  })
+
+  it('only ends the game by itself after fivefold repetition', () => {
+    const shuffle = ['Nf3', 'Nf6', 'Ng1', 'Ng8']
+    const game = play(makeGame(), ...shuffle, ...shuffle, ...shuffle)
+    assert.equal(getGameResult(game), undefined)
+    assert.equal(
+      getGameResult(play(game, ...shuffle)).reason,
+      'fivefold repetition'
+    )
+  })
+
+  it('draws by the fifty-move rule on claim, and the 75-move rule by itself', () => {
+    const fifty = fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 100 80')
+    assert.equal(getGameResult(fifty), undefined)
+    assert.equal(getDrawClaim(fifty), 'fifty-move rule')
+    const seventyFive = fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 150 105')
+    assert.equal(getGameResult(seventyFive).reason, 'seventy-five-move rule')
+  })
+})
+
+describe('fromPGN', () => {
+  it('plays on past a draw which was not claimed', () => {
+    const game = fromPGN(
+      '1. Nf3 Nf6 2. Ng1 Ng8 3. Nf3 Nf6 4. Ng1 Ng8 5. e4 e5 *')
+    assert.equal(game.history.length, 10)
+    assert.equal(getGameResult(game), undefined)
+  })
+
+  it('rejects moves made after the game ended', () => {
+    const moves = '1. Nf3 Nf6 2. Ng1 Ng8 '.repeat(4)
+    assert.throws(() => fromPGN(`${moves} 9. e4 *`), /Invalid PGN/)
+  })
+})
+
+describe('takebacks', () => {
+  it('can be accepted while the game is still going', () => {
+    const game = requestTakeback(play(makeGame(), 'e4'), 'white')
+    assert.equal(acceptTakeback(game, 'black').history.length, 0)
+  })
+
+  it("can't be accepted after a resignation", () => {
+    const game = requestTakeback(play(makeGame(), 'e4'), 'white')
+    const resigned = resign(game, 'black')
+    assert.equal(resigned.takeback, undefined)
+    assert.equal(acceptTakeback(resigned, 'black'), undefined)
+    const stale = { ...resigned, takeback: game.takeback }
+    assert.equal(acceptTakeback(stale, 'black'), undefined)
+  })
+
+  it("can't be accepted after a timeout", () => {
+    const clock = makeClock({ initial: 60000, increment: 0 })
+    const started = pressClock(play({ ...makeGame(), clock }, 'e4'), 0)
+    const game = requestTakeback(started, 'white')
+    const flagged = checkFlag(game, 60000)
+    assert.equal(flagged.result.status, 'timeout')
+    assert.equal(flagged.takeback, undefined)
+    assert.equal(acceptTakeback(flagged, 'black'), undefined)
+    const stale = { ...flagged, takeback: game.takeback }
+    assert.equal(acceptTakeback(stale, 'black'), undefined)
+  })
+})
+
+describe('getAttackedSquares', () => {
+  const hasSquare = (coords, square) => coords.some(x => (
+    x[0] === squareToCoord(square)[0] && x[1] === squareToCoord(square)[1]
+  ))
+
+  it('finds the squares attacked in the starting position', () => {
+    const attacked = getAttackedSquares(makeGame(), 'white')
+    assert.equal(attacked.length, 22)
+    assert.ok(hasSquare(attacked, 'e3'))
+    assert.ok(hasSquare(attacked, 'd2'))
+    assert.ok(!hasSquare(attacked, 'a1'))
+    assert.ok(!hasSquare(attacked, 'e4'))
+  })
+
+  it('includes empty squares and pieces of either color', () => {
+    const game = fromFEN('4k3/8/8/8/8/8/8/R3K3 w - - 0 1')
+    const attacked = getAttackedSquares(game, 'white')
+    assert.ok(hasSquare(attacked, 'a8'))
+    assert.ok(hasSquare(attacked, 'e1'))
+    assert.ok(hasSquare(attacked, 'f1'))
+    assert.ok(!hasSquare(getAttackedSquares(game, 'black'), 'e1'))
+  })
+})
+
+describe('getPositions', () => {
+  it('replays every position of the game', () => {
+    const game = play(makeGame(), 'e4', 'd5', 'exd5')
+    const positions = getPositions(game)
+    assert.equal(positions.length, 4)
+    assert.equal(toFEN(positions[0]), toFEN(makeGame()))
+    assert.equal(toFEN(positions[2]), toFEN(play(makeGame(), 'e4', 'd5')))
+    assert.equal(positions[3], game)
+    assert.equal(pieceAt(positions[0], 'e2').id, pieceAt(positions[1], 'e4').id)
+  })
+
+  it('starts from the initial FEN', () => {
+    const fen = 'k7/8/8/8/8/8/4P3/K7 b - - 0 1'
+    const game = play(fromFEN(fen), 'Ka7', 'e4')
+    const positions = getPositions(game)
+    assert.equal(toFEN(positions[0]), fen)
+    assert.equal(positions[1].moveCount, 2)
+  })
+})
+
+describe('getPositionError', () => {
+  it('accepts legal positions', () => {
+    assert.equal(getPositionError(makeGame()), undefined)
+    assert.equal(getPositionError(fromFEN('4k3/8/8/8/8/8/4P3/4K3 w - - 0 1')), undefined)
+  })
+
+  it('needs exactly one king on each side', () => {
+    assert.ok(getPositionError(fromFEN('8/8/8/8/8/8/8/4K3 w - - 0 1')))
+    assert.ok(getPositionError(fromFEN('4k3/8/8/8/8/8/8/3KK3 w - - 0 1')))
+  })
+
+  it('rejects pawns on the first or last rank', () => {
+    assert.ok(getPositionError(fromFEN('4k2P/8/8/8/8/8/8/4K3 w - - 0 1')))
+    assert.ok(getPositionError(fromFEN('4k3/8/8/8/8/8/8/p3K3 w - - 0 1')))
+  })
+
+  it('rejects the side not to move being in check', () => {
+    assert.ok(getPositionError(fromFEN('4k3/8/8/8/8/8/8/4RK2 w - - 0 1')))
+    assert.equal(getPositionError(fromFEN('4k3/8/8/8/8/8/8/4RK2 b - - 0 1')), undefined)
+  })
+})
+
+describe('isValidMove', () => {
+  const prevState = makeGame()
+  const state = play(prevState, 'e4')
+
+  it('accepts a legal move', () => {
+    assert.ok(isValidMove(prevState, state))
+  })
+
+  it('rejects missing states', () => {
+    assert.ok(!isValidMove(undefined, state))
+    assert.ok(!isValidMove(prevState, undefined))
+    assert.ok(!isValidMove(prevState, {}))
+  })
+
+  it('rejects pieces which are not valid', () => {
+    const withPieces = (pieces) => ({ ...state, pieces })
+    assert.ok(!isValidMove(prevState, withPieces('pieces')))
+    assert.ok(!isValidMove(prevState, withPieces([
+      ...state.pieces.slice(1),
+      { ...state.pieces[0], type: 'dragon' }
+    ])))
+    assert.ok(!isValidMove(prevState, withPieces([
+      ...state.pieces.slice(1),
+      { ...state.pieces[0], coord: undefined }
+    ])))
+    assert.ok(!isValidMove(prevState, withPieces([
+      ...state.pieces.slice(1),
+      { ...state.pieces[0], color: 'green' }
+    ])))
+  })
+
+  it('rejects a state which does not follow from the move', () => {
+    assert.ok(!isValidMove(prevState, {
+      ...state,
+      pieces: state.pieces.slice(1)
+    }))
+    assert.ok(!isValidMove(prevState, { ...state, moveCount: 3 }))
+  })
+
+  it('rejects an illegal move', () => {
+    const move = { from: squareToCoord('e2'), to: squareToCoord('e5') }
+    assert.ok(!isValidMove(prevState, {
+      ...state,
+      history: [{ ...state.history[0], ...move }]
+    }))
+  })
+})
+
+describe('findBestMove', () => {
+  it('stops searching soon after its time is up', () => {
+    const game = fromFEN(
+      'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1')
+    const start = Date.now()
+    const move = findBestMove(game, { depth: 30, timeMs: 100 })
+    assert.ok(Date.now() - start < 1000)
+    assert.ok(makeMove(game, move))
+  })
+})
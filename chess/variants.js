@@ -0,0 +1,290 @@
+/*
+ * Variants of chess.
+ *
+ * The variant of a game is stored as game.variant, which is left out for
+ * standard chess. Each variant has an object of rules, which can override
+ * parts of standard chess:
+ *
+ *  - setup ({ seed }) returns the pieces of the starting position, along with
+ *    the rest of the state the game starts with, such as castling rights.
+ *  - getResult (game) returns the result of a game won by a rule of the
+ *    variant, which is checked before the usual ways a game can end.
+ *  - afterMove (game, prevGame, piece) returns the game with the side effects
+ *    of the given piece moving, such as counting checks or captures exploding.
+ *  - afterMoveOnBoard (board, move, undo) makes the same side effects on a
+ *    board, removing pieces with removePieceAfterMove so the move can be
+ *    unmade.
+ *  - allowsMove (board, move) returns false for a move the variant forbids.
+ *  - isInCheck (board, color) returns true if the king of the given color is
+ *    in check, instead of checking whether it is attacked.
+ *  - isLegalPosition (board, color) returns true if a move by the given color
+ *    left a legal position, instead of checking that its king isn't in check.
+ *  - hasInsufficientMaterial (game) returns true if neither side has enough
+ *    material left to win, instead of checking whether either side can still
+ *    checkmate.
+ */
+
+import {
+  makeBoard,
+  getOpponent,
+  getAdjacentSquares,
+  removePieceAfterMove,
+  isKingAttacked,
+  isCheck,
+  hasKing
+} from './board.js'
+import { makeCastling, updateCastling } from './castling.js'
+
+/* The back rank of the standard starting position, from the h to the a file. */
+const STANDARD_BACK_RANK = 'RNBKQBNR'
+
+/* The placements of the two knights on the five squares left for them. */
+const KNIGHT_PLACEMENTS = [
+  [0, 1], [0, 2], [0, 3], [0, 4], [1, 2],
+  [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]
+]
+
+/* The four squares in the center of the board: d4, e4, d5 and e5. */
+export const HILL_SQUARES = [[4, 3], [3, 3], [4, 4], [3, 4]]
+
+/* The number of checks which win a game of Three-check. */
+export const CHECKS_TO_WIN = 3
+
+/**
+ * Returns the back rank of the Chess960 starting position with the given
+ * number from 0 to 959, from the h to the a file. The positions are numbered
+ * the usual way, by the squares of the light and dark squared bishops, the
+ * queen and the knights, with the king between the rooks on the squares left.
+ * Position 518 is the standard starting position.
+ */
+export function getChess960BackRank (number) {
+  /* Squares from the a to the h file, as the numbering uses. */
+  const rank = new Array(8).fill(undefined)
+  const place = (piece, index) => {
+    const empty = rank.flatMap((x, i) => x ? [] : [i])
+    rank[empty[index]] = piece
+  }
+  rank[(number % 4) * 2 + 1] = 'B'
+  number = Math.floor(number / 4)
+  rank[(number % 4) * 2] = 'B'
+  number = Math.floor(number / 4)
+  place('Q', number % 6)
+  number = Math.floor(number / 6)
+  const [first, second] = KNIGHT_PLACEMENTS[number]
+  place('N', second)
+  place('N', first)
+  place('R', 0)
+  place('K', 0)
+  place('R', 0)
+  return rank.reverse().join('')
+}
+
+/**
+ * Helper function to create the pieces on the board, given the back rank from
+ * the h to the a file.
+ */
+function createPieces (backRank) {
+  const blank = ' '.repeat(8)
+  const board = [
+    ...backRank,
+    ...'P'.repeat(8),
+    ...blank,
+    ...blank,
+    ...blank,
+    ...blank,
+    ...'P'.repeat(8),
+    ...backRank
+  ]
+
+  const shortToType = {
+    R: 'rook',
+    N: 'knight',
+    P: 'pawn',
+    K: 'king',
+    B: 'bishop',
+    Q: 'queen'
+  }
+
+  /* Create the pieces. */
+  return board.map((t, i) => ({
+    id: i,
+    type: shortToType[t],
+    moveCount: 0,
+    color: Math.floor(i / 8) > 4 ? 'black' : 'white',
+    coord: [i % 8, Math.floor(i / 8)]
+  })).filter((x) => x.type)
+}
+
+function makeVariantResult (winner, reason) {
+  return { status: 'variant', winner, reason }
+}
+
+/** Returns true if the given coordinate is one of the HILL_SQUARES. */
+export function isOnHill (coord) {
+  return HILL_SQUARES.some(x => x[0] === coord[0] && x[1] === coord[1])
+}
+
+/**
+ * Returns the number of checks each color has given in a game of Three-check,
+ * of the form { white, black }.
+ */
+export function getChecks (game) {
+  return game.checks || { white: 0, black: 0 }
+}
+
+/*
+ * Removes the pieces caught in the explosion of a capture in Atomic: the piece
+ * which captured, and every piece other than a pawn next to the square of the
+ * capture.
+ */
+function explode (game, prevGame, piece) {
+  if (game.pieces.length === prevGame.pieces.length) {
+    return game
+  }
+  const [x, y] = piece.coord
+  const exploded = game.pieces.filter(other => (
+    other.id === piece.id || (
+      other.type !== 'pawn' &&
+      Math.max(Math.abs(other.coord[0] - x), Math.abs(other.coord[1] - y)) === 1
+    )
+  ))
+  return {
+    ...game,
+    pieces: game.pieces.filter(other => !exploded.includes(other)),
+    castling: exploded.reduce((castling, other) => (
+      updateCastling(castling, other, other.coord, other.coord)
+    ), game.castling)
+  }
+}
+
+/*
+ * Returns true if only the kings are left, so neither side has a piece to give
+ * check or capture with.
+ */
+function hasOnlyKings (game) {
+  return game.pieces.every(x => x.type === 'king')
+}
+
+const STANDARD = {
+  name: 'Standard',
+  setup: () => ({
+    pieces: createPieces(STANDARD_BACK_RANK),
+    castling: makeCastling()
+  })
+}
+
+const RULES = {
+  standard: STANDARD,
+
+  /* Chess960 (Fischer Random) starts from a shuffled back rank. */
+  chess960: {
+    name: 'Chess960',
+    setup ({ seed }) {
+      const number = seed === undefined
+        ? Math.floor(Math.random() * 960)
+        : ((Math.floor(seed) % 960) + 960) % 960
+      const backRank = getChess960BackRank(number)
+      const rooks = [...backRank].flatMap((x, i) => x === 'R' ? [i] : [])
+      return {
+        pieces: createPieces(backRank),
+        castling: makeCastling(rooks),
+        seed: number
+      }
+    }
+  },
+
+  /* Moving the king onto one of the four center squares also wins. */
+  kingOfTheHill: {
+    ...STANDARD,
+    name: 'King of the Hill',
+    getResult (game) {
+      const king = game.pieces.find(x => x.type === 'king' && isOnHill(x.coord))
+      return king && makeVariantResult(king.color, 'king of the hill')
+    },
+    /* Either king can always still walk to the center. */
+    hasInsufficientMaterial: () => false
+  },
+
+  /* Checking the opponent's king for the third time also wins. */
+  threeCheck: {
+    name: 'Three-check',
+    setup: () => ({
+      ...STANDARD.setup(),
+      checks: { white: 0, black: 0 }
+    }),
+    afterMove (game, prevGame, piece) {
+      if (!isCheck(makeBoard(game), getOpponent(piece.color))) {
+        return game
+      }
+      const checks = getChecks(game)
+      return {
+        ...game,
+        checks: { ...checks, [piece.color]: checks[piece.color] + 1 }
+      }
+    },
+    getResult (game) {
+      const checks = getChecks(game)
+      const winner = ['white', 'black'].find(x => checks[x] >= CHECKS_TO_WIN)
+      return winner && makeVariantResult(winner, 'three checks')
+    },
+    hasInsufficientMaterial: hasOnlyKings
+  },
+
+  /*
+   * Captures explode, removing the capturing piece and every piece other than
+   * a pawn around the square. Exploding the opponent's king wins, so a king
+   * can't capture, and a king next to the opponent's king is never in check.
+   */
+  atomic: {
+    ...STANDARD,
+    name: 'Atomic',
+    afterMove: explode,
+    afterMoveOnBoard (board, move, undo) {
+      if (move.capture === -1) {
+        return
+      }
+      removePieceAfterMove(board, move.to, undo)
+      getAdjacentSquares(move.to).forEach(square => {
+        const record = board.squares[square]
+        if (record && record.type !== 'pawn') {
+          removePieceAfterMove(board, square, undo)
+        }
+      })
+    },
+    allowsMove (board, move) {
+      return move.capture === -1 || board.squares[move.from].type !== 'king'
+    },
+    isInCheck (board, color) {
+      const opponent = getOpponent(color)
+      return (
+        hasKing(board, opponent) &&
+        !getAdjacentSquares(board.kings[color]).includes(board.kings[opponent]) &&
+        isKingAttacked(board, color)
+      )
+    },
+    isLegalPosition (board, color) {
+      return hasKing(board, color) && (
+        !hasKing(board, getOpponent(color)) ||
+        !RULES.atomic.isInCheck(board, color)
+      )
+    },
+    getResult (game) {
+      const loser = ['white', 'black'].find(color => (
+        !game.pieces.some(x => x.type === 'king' && x.color === color)
+      ))
+      return loser && makeVariantResult(getOpponent(loser), 'explosion')
+    },
+    hasInsufficientMaterial: hasOnlyKings
+  }
+}
+
+/* The names of the variants, as stored in game.variant. */
+export const VARIANTS = Object.keys(RULES)
+
+/**
+ * Returns the rules of the variant with the given name, or of standard chess
+ * if there is no such variant.
+ */
+export function getVariant (variant) {
+  return RULES[variant] || STANDARD
+}
@@ -0,0 +1,10 @@
+/*
+ * Finds the computer's move in a worker thread, so searching doesn't block the
+ * server. The worker is given the game and search options, and posts back the
+ * move it finds.
+ */
+
+import { parentPort, workerData } from 'worker_threads'
+import { findBestMove } from 'chess-api'
+
+parentPort.postMessage(findBestMove(workerData.game, workerData.options))
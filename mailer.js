@@ -0,0 +1,50 @@
+/*
+ * Sending email.
+ *
+ * A mailer is an object with a function sendMail (message, callback), where
+ * message is of the form { to, subject, text }, and callback is called with an
+ * error if the email couldn't be sent. The server uses the mailer exported by
+ * default from the module named by the MAILER environment variable, so any
+ * email service can be plugged in. Without one, no emails are sent.
+ *
+ * While developing, MAILER can be 'console' to print emails to the console
+ * instead. As the emails hold sign in links, this can't be used in production.
+ */
+
+import path from 'path'
+import { pathToFileURL } from 'url'
+
+/** A mailer which prints emails to the console instead of sending them. */
+export const consoleMailer = {
+  sendMail ({ to, subject, text }, callback) {
+    console.log(`To: ${to}\nSubject: ${subject}\n\n${text}\n`)
+    callback()
+  }
+}
+
+/**
+ * Loads the mailer exported by default from the module with the given name,
+ * which is either a package or a path relative to the working directory, or
+ * the console mailer if the name is 'console'. callback is called with an
+ * error, or the mailer on success, which is undefined without a name.
+ */
+export function loadMailer (name, callback) {
+  if (!name) {
+    callback(null, undefined)
+    return
+  } else if (name === 'console') {
+    if (process.env.NODE_ENV === 'production') {
+      callback(new Error('The console mailer is not allowed in production.'))
+    } else {
+      callback(null, consoleMailer)
+    }
+    return
+  }
+  const specifier = name.startsWith('.') || path.isAbsolute(name)
+    ? pathToFileURL(path.resolve(name)).href
+    : name
+  import(specifier).then(
+    (module) => callback(null, module.default),
+    (error) => callback(error)
+  )
+}
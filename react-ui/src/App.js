@@ -1,4 +1,12 @@
-import React, { Suspense, useMemo, useState, useRef, useEffect, useContext } from 'react'
+import React, {
+  Suspense,
+  useMemo,
+  useState,
+  useRef,
+  useEffect,
+  useContext,
+  useCallback
+} from 'react'
 import { Canvas, useLoader, useFrame } from 'react-three-fiber'
 import { a, useSpring, useTransition } from 'react-spring/three'
 import { BufferGeometryUtils } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
@@ -16,25 +24,55 @@ import {
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
 
 import './App.css'
-import { useGames, useGame } from './hooks.js'
+import {
+  useGames,
+  useGame,
+  useQuery,
+  useClockTimes,
+  useSession,
+  useAccount,
+  useAccountGames,
+  useEvents,
+  useSeeks,
+  useSeeker,
+  useAnalysis
+} from './hooks.js'
 
 import {
   BrowserRouter as Router,
   Switch,
   Route,
   Redirect,
-  Link
+  Link,
+  useHistory
 } from 'react-router-dom'
 
 import { ChessCamera } from './camera'
 import {
-  updatePiece,
   getValidMoves,
   canPromote,
-  canMove,
-  isInCheck,
+  getGameResult,
   canAttack,
-  PIECE_NAMES
+  getTurn,
+  isClockRunning,
+  formatTimeControl,
+  requestTakeback,
+  getDrawClaim,
+  getVariant,
+  getChecks,
+  getPositions,
+  makeGame,
+  fromFEN,
+  toFEN,
+  getPositionError,
+  getLastMove,
+  isInCheck,
+  getAttackedSquares,
+  ENGINE_LEVELS,
+  PIECE_NAMES,
+  VARIANTS,
+  HILL_SQUARES,
+  CHECKS_TO_WIN
 } from 'chess-api'
 
 const fetch = window.fetch
@@ -45,10 +83,17 @@ function makeTheme (props) {
     white,
     hover,
     active,
+    mated,
     attack,
     attackHover,
     move,
-    moveHover
+    moveHover,
+    hill,
+    lastMove,
+    check,
+    whiteAttacks,
+    blackAttacks,
+    ghost
   } = props
   const textureLoader = new TextureLoader()
   const theme = {
@@ -83,6 +128,50 @@ function makeTheme (props) {
         color: new Color(moveHover),
         emissive: new Color(moveHover)
       }),
+      hill: new MeshStandardMaterial({
+        color: new Color(hill),
+        metalness: 0.0,
+        roughness: 0.4
+      }),
+      lastMove: new MeshStandardMaterial({
+        color: new Color(lastMove),
+        metalness: 0.0,
+        roughness: 0.4,
+        transparent: true,
+        opacity: 0.5,
+        depthWrite: false
+      }),
+      check: new MeshStandardMaterial({
+        color: new Color(check),
+        emissive: new Color(check),
+        transparent: true,
+        opacity: 0.75,
+        depthWrite: false
+      }),
+      whiteAttacks: new MeshStandardMaterial({
+        color: new Color(whiteAttacks),
+        metalness: 0.0,
+        roughness: 0.4,
+        transparent: true,
+        opacity: 0.35,
+        depthWrite: false
+      }),
+      blackAttacks: new MeshStandardMaterial({
+        color: new Color(blackAttacks),
+        metalness: 0.0,
+        roughness: 0.4,
+        transparent: true,
+        opacity: 0.35,
+        depthWrite: false
+      }),
+      ghost: new MeshStandardMaterial({
+        color: new Color(ghost),
+        metalness: 0.0,
+        roughness: 0.4,
+        transparent: true,
+        opacity: 0.4,
+        depthWrite: false
+      }),
       hover: new MeshMatcapMaterial({
         blending: CustomBlending,
         blendSrc: OneFactor,
@@ -96,12 +185,20 @@ function makeTheme (props) {
         blendDst: DstAlphaFactor,
         color: new Color().set(active),
         transparent: true
+      }),
+      mated: new MeshMatcapMaterial({
+        blending: CustomBlending,
+        blendSrc: OneFactor,
+        blendDst: DstAlphaFactor,
+        color: new Color().set(mated),
+        transparent: true
       })
     }
   }
   textureLoader.load('/textures/matcap.png', (texture) => {
     theme.materials.hover.matcap = texture
     theme.materials.active.matcap = texture
+    theme.materials.mated.matcap = texture
   })
   return theme
 }
@@ -111,40 +208,107 @@ const ThemeContext = React.createContext(makeTheme({
   white: 0xCCCCCC,
   hover: 0x555555,
   active: 0xFF5500,
+  mated: 0xFF0000,
   attack: 0xFF0F00,
   attackHover: 0xFF0000,
   move: 0xFF5500,
-  moveHover: 0xFF7711
+  moveHover: 0xFF7711,
+  hill: 0x665522,
+  lastMove: 0xCCBB22,
+  check: 0xFF0000,
+  whiteAttacks: 0x2277FF,
+  blackAttacks: 0xFF2277,
+  ghost: 0xFF5500
 }))
 
-/** A chess board. */
+/**
+ * A chess board.
+ *
+ * Props:
+ *  - colors - the names of the materials of the dark and light squares
+ *  - hill - coordinates of squares to show with the hill material
+ *  - lastMove - the last move, whose from and to squares are tinted
+ *  - check - the coordinates of a king in check, whose square glows
+ *  - attacks - the coordinates of the squares each color attacks, of the form
+ *    { white, black }, to shade them
+ */
 function Board (props) {
-  const colors = props.colors
+  const {
+    colors,
+    hill = [],
+    lastMove,
+    check,
+    attacks,
+    ...groupProps
+  } = props
   const geometry = useMemo(() => new PlaneGeometry(1, 1), [])
   const theme = useContext(ThemeContext)
   const meshes = []
 
+  /* Highlights are drawn just above the squares, the later ones on top. */
+  const highlight = (coord, materialName, height) => (
+    <mesh
+      key={`${materialName}-${coord[0]}-${coord[1]}`}
+      geometry={geometry}
+      rotation-x={-Math.PI / 2}
+      position={[coord[0], height, coord[1]]}
+      material={theme.materials[materialName]}
+    />
+  )
+
   for (let i = 0; i < 8; i++) {
     for (let j = 0; j < 8; j++) {
+      const isHill = hill.some(x => x[0] === i && x[1] === j)
       meshes.push(
         <mesh
           key={i + j * 8}
           geometry={geometry}
           rotation-x={-Math.PI / 2}
           position={[i, 0, j]}
-          material={theme.materials[colors[(i + j) % 2]]}
+          material={theme.materials[isHill ? 'hill' : colors[(i + j) % 2]]}
           receiveShadow
         />
       )
     }
   }
+  if (attacks) {
+    attacks.white.forEach(x => meshes.push(highlight(x, 'whiteAttacks', 0.002)))
+    attacks.black.forEach(x => meshes.push(highlight(x, 'blackAttacks', 0.003)))
+  }
+  if (lastMove) {
+    meshes.push(highlight(lastMove.from, 'lastMove', 0.004))
+    meshes.push(highlight(lastMove.to, 'lastMove', 0.004))
+  }
+  if (check) {
+    meshes.push(highlight(check, 'check', 0.005))
+  }
   return (
-    <group {...props}>
+    <group {...groupProps}>
       {meshes}
     </group>
   )
 }
 
+/*
+ * Returns the props of the Board which highlight the given position: its last
+ * move, the king of the side to move if it is in check, and if showAttacks is
+ * true, the squares each side attacks.
+ */
+function getHighlights (game, showAttacks) {
+  const turn = getTurn(game)
+  const king = game.pieces.find(x => x.type === 'king' && x.color === turn)
+  return {
+    lastMove: getLastMove(game),
+    check: king && isInCheck(game, turn) ? king.coord : undefined,
+    attacks: showAttacks
+      ? {
+          white: getAttackedSquares(game, 'white'),
+          black: getAttackedSquares(game, 'black')
+        }
+      : undefined
+  }
+}
+
 /**
  * A clickable slot on the chessboard.
  *
@@ -180,29 +344,42 @@ function Slot (props) {
  *
  * Props:
  *  - active
+ *  - mated - true if the piece is a king which has been checkmated
  *  - piece
  *  - disabled
  *  - onClick
+ *  - onPointerDown - starts dragging the piece, unless it is disabled
+ *  - dragPosition - where the piece is being dragged to, if it is, in board
+ *    coordinates. Once dropped, it springs back to its square.
  */
 function Piece (props) {
   const {
     active,
+    mated,
     piece,
     disabled,
     onClick,
+    onPointerDown,
+    dragPosition,
     ...meshProps
   } = props
 
   // Set up state for the hovered and active state
   const [hovered, setHover] = useState(false)
 
-  const { x, z } = useSpring({ x: piece.coord[0], z: piece.coord[1] })
+  /* A dragged piece follows the pointer straight away, lifted off the board. */
+  const { x, y, z } = useSpring({
+    x: dragPosition ? dragPosition[0] : piece.coord[0],
+    y: dragPosition ? 0.25 : 0,
+    z: dragPosition ? dragPosition[1] : piece.coord[1],
+    immediate: !!dragPosition
+  })
   const theme = useContext(ThemeContext)
 
   return (
     <a.group
       position-x={x}
-      position-y={0}
+      position-y={y}
       position-z={z}
       rotation-y={piece.color === 'black' ? 0 : Math.PI}
     >
@@ -211,6 +388,7 @@ function Piece (props) {
         onPointerOver={(event) => setHover(true)}
         onPointerOut={(event) => setHover(false)}
         onClick={!disabled && onClick}
+        onPointerDown={!disabled && onPointerDown}
         castShadow
         receiveShadow
         material={theme.materials[piece.color]}
@@ -223,6 +401,12 @@ function Piece (props) {
           }
         />
       )}
+      {mated && (
+        <mesh
+          {...meshProps}
+          material={theme.materials.mated}
+        />
+      )}
     </a.group>
   )
 }
@@ -279,6 +463,127 @@ function PieceMover (props) {
   )
 }
 
+/* Returns where a point in the scene is over the board, in board coordinates. */
+function toBoardPosition (point) {
+  return [point.x + 3.5, point.z + 3.5]
+}
+
+/*
+ * An invisible plane under the board, which catches the pointer wherever it is
+ * while dragging a piece. Its props are passed on to the mesh, such as
+ * onPointerMove and onPointerUp.
+ */
+function DragPlane (props) {
+  return (
+    <mesh
+      {...props}
+      visible={false}
+      rotation-x={-Math.PI / 2}
+      position={[3.5, 0, 3.5]}
+    >
+      <planeBufferGeometry args={[100, 100]} />
+    </mesh>
+  )
+}
+
+/* How near to a square, in squares, a piece has to be dropped to move there. */
+const SNAP_DISTANCE = 0.75
+
+/*
+ * Returns the coordinates of the nearest of the given squares to the given
+ * position, or undefined if none are within SNAP_DISTANCE of it.
+ */
+function getSnapSquare (squares, position) {
+  let nearest
+  let nearestDistance = SNAP_DISTANCE
+  squares.forEach(x => {
+    const distance = Math.hypot(x[0] - position[0], x[1] - position[1])
+    if (distance < nearestDistance) {
+      nearest = x
+      nearestDistance = distance
+    }
+  })
+  return nearest
+}
+
+/*
+ * Lets the pieces of the given game be dragged with the pointer, by mouse or
+ * touch. The dragged piece follows the pointer over the board, and is moved to
+ * the nearest legal square when dropped, by calling onDrop with the moved
+ * piece. Dropping it anywhere else, including back on its own square, leaves
+ * it where it was, so a piece can still be clicked and then moved by clicking
+ * a square.
+ *
+ * Returns { drag, startDrag, planeProps }, where drag is the piece being
+ * dragged, where it is and the square it would move to, of the form
+ * { piece, position, square }, startDrag (event, piece) is the pointer down
+ * handler of a piece, and planeProps are the props of the DragPlane.
+ */
+function usePieceDrag (game, onDrop) {
+  const [drag, setDrag] = useState()
+
+  const startDrag = (e, piece) => {
+    e.stopPropagation()
+    e.target.setPointerCapture(e.pointerId)
+    setDrag({
+      piece,
+      position: piece.coord,
+      moves: getValidMoves(game, piece)
+    })
+  }
+
+  const getSquare = (position) => {
+    const square = position.map(Math.round)
+    const isOwnSquare = (
+      square[0] === drag.piece.coord[0] && square[1] === drag.piece.coord[1]
+    )
+    return isOwnSquare ? undefined : getSnapSquare(drag.moves, position)
+  }
+
+  const onPointerMove = (e) => {
+    if (drag) {
+      const position = toBoardPosition(e.point)
+      setDrag({ ...drag, position, square: getSquare(position) })
+    }
+  }
+
+  const onPointerUp = (e) => {
+    if (!drag) {
+      return
+    }
+    e.target.releasePointerCapture(e.pointerId)
+    const square = getSquare(toBoardPosition(e.point))
+    setDrag(undefined)
+    if (square) {
+      onDrop({ ...drag.piece, coord: square })
+    }
+  }
+
+  return { drag, startDrag, planeProps: { onPointerMove, onPointerUp } }
+}
+
+/*
+ * A see-through copy of a piece being dragged, on the square it would move to
+ * if dropped.
+ *
+ * Props:
+ *  - piece - the piece being dragged
+ *  - coord - the square it would move to
+ *  - geometry - the geometry of the piece
+ */
+function Ghost (props) {
+  const { piece, coord, geometry } = props
+  const theme = useContext(ThemeContext)
+  return (
+    <mesh
+      geometry={geometry}
+      material={theme.materials.ghost}
+      position={[coord[0], 0, coord[1]]}
+      rotation-y={piece.color === 'black' ? 0 : Math.PI}
+    />
+  )
+}
+
 function useGeometries () {
   const models = useLoader(
     GLTFLoader,
@@ -405,8 +710,246 @@ function Dialog (props) {
   )
 }
 
+/** Returns a sentence describing the result of a game. */
+function describeResult (result) {
+  if (result.status === 'checkmate') {
+    return `Checkmate: ${result.winner} wins!`
+  } else if (result.status === 'stalemate') {
+    return 'Stalemate: the game is a draw.'
+  } else if (result.status === 'resigned') {
+    return `Resignation: ${result.winner} wins!`
+  } else if (result.status === 'timeout') {
+    return `Time out: ${result.winner} wins!`
+  } else if (result.status === 'variant') {
+    const reason = result.reason[0].toUpperCase() + result.reason.slice(1)
+    return `${reason}: ${result.winner} wins!`
+  } else {
+    return `Draw by ${result.reason}.`
+  }
+}
+
+/* Formats a time in milliseconds as h:mm:ss or m:ss, or s.t under ten seconds. */
+function formatTime (time) {
+  if (time < 10000) {
+    return (Math.floor(time / 100) / 10).toFixed(1)
+  }
+  const seconds = Math.floor(time / 1000)
+  const pad = (x) => String(x).padStart(2, '0')
+  if (seconds >= 3600) {
+    return `${Math.floor(seconds / 3600)}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`
+  }
+  return `${Math.floor(seconds / 60)}:${pad(seconds % 60)}`
+}
+
+/* Shows both players' clocks, with the given color's clock at the bottom. */
+function Clocks (props) {
+  const { game, color, clockOffset } = props
+  const times = useClockTimes(game, clockOffset)
+  const turn = getTurn(game)
+  const isRunning = isClockRunning(game)
+  const colors = color === 'black' ? ['white', 'black'] : ['black', 'white']
+  return (
+    <div className='clocks'>
+      {colors.map(x => (
+        <div
+          key={x}
+          className={[
+            'clock',
+            isRunning && turn === x && 'running',
+            times[x] < 10000 && 'low'
+          ].filter(Boolean).join(' ')}
+        >
+          <span>{x}</span>
+          <span>{formatTime(times[x])}</span>
+        </div>
+      ))}
+      <small>
+        {formatTimeControl(game.clock)}
+        {game.clock.mode === 'delay' && ' delay'}
+      </small>
+    </div>
+  )
+}
+
+/*
+ * The moves of a game with controls to replay it, showing the position after
+ * any of its moves.
+ *
+ * Props:
+ *  - history - the moves of the game
+ *  - initialMoveCount - the moveCount of the position the game started from
+ *  - ply - the number of moves made in the shown position
+ *  - onSelect (ply) - shows the position after the given number of moves
+ */
+function MoveList (props) {
+  const { history, initialMoveCount, ply, onSelect } = props
+  const listRef = useRef()
+  const last = history.length
+
+  /* Keep the shown move in view. */
+  useEffect(() => {
+    const current = listRef.current.querySelector('.current')
+    if (current) {
+      current.scrollIntoView({ block: 'nearest' })
+    }
+  }, [ply, last])
+
+  const rows = []
+  history.forEach((move, i) => {
+    const moveCount = initialMoveCount + i
+    if (i === 0 || moveCount % 2 === 0) {
+      rows.push({ number: Math.floor(moveCount / 2) + 1, moves: [] })
+      if (moveCount % 2 === 1) {
+        rows[0].moves.push(undefined)
+      }
+    }
+    rows[rows.length - 1].moves.push({ san: move.san, ply: i + 1 })
+  })
+
+  return (
+    <div className='move-list'>
+      <div className='moves' ref={listRef}>
+        {rows.map(({ number, moves }) => (
+          <div key={number} className='row'>
+            <span className='number'>{number}.</span>
+            {moves.map((move, i) => (
+              move
+                ? (
+                  <button
+                    key={i}
+                    className={move.ply === ply ? 'current' : undefined}
+                    onClick={() => onSelect(move.ply)}
+                  >
+                    {move.san}
+                  </button>
+                  )
+                : <span key={i}>&hellip;</span>
+            ))}
+          </div>
+        ))}
+      </div>
+      <div className='replay-controls'>
+        <button title='First' onClick={() => onSelect(0)} disabled={ply === 0}>
+          &#x23EE;
+        </button>
+        <button
+          title='Previous'
+          onClick={() => onSelect(ply - 1)}
+          disabled={ply === 0}
+        >
+          &#x25C0;
+        </button>
+        <button
+          title='Next'
+          onClick={() => onSelect(ply + 1)}
+          disabled={ply === last}
+        >
+          &#x25B6;
+        </button>
+        <button
+          title='Last'
+          onClick={() => onSelect(last)}
+          disabled={ply === last}
+        >
+          &#x23ED;
+        </button>
+      </div>
+    </div>
+  )
+}
+
+/* Returns the name to show for the author of a chat message. */
+function getAuthorName (author) {
+  if (author.username && author.color) {
+    return `${author.username} (${author.color})`
+  }
+  return author.username || author.color || 'Anonymous'
+}
+
+/*
+ * The chat for a game, where the players chat with each other, and spectators
+ * with each other.
+ *
+ * Props:
+ *  - messages - the messages to show
+ *  - title - the title of the chat
+ *  - onSend (text) - sends a message, returning the HTTP status code
+ *  - muted - true if the player has muted their opponent
+ *  - onMute (muted) - mutes or unmutes the opponent, if the player can
+ */
+function Chat (props) {
+  const { messages, title, onSend, muted, onMute } = props
+  const [text, setText] = useState('')
+  const [notice, setNotice] = useState()
+  const listRef = useRef()
+
+  /* Keep the newest messages in view. */
+  useEffect(() => {
+    const list = listRef.current
+    list.scrollTop = list.scrollHeight
+  }, [messages])
+
+  const onSubmit = async (e) => {
+    e.preventDefault()
+    if (!text.trim()) {
+      return
+    }
+    const status = await onSend(text)
+    if (status === 200) {
+      setText('')
+      setNotice(undefined)
+    } else if (status === 429) {
+      setNotice('Slow down! Wait a few seconds before sending another.')
+    } else {
+      setNotice('The message could not be sent.')
+    }
+  }
+
+  return (
+    <div className='chat'>
+      <h3>{title}</h3>
+      <div className='messages' ref={listRef}>
+        {messages.map(x => (
+          <p key={x.id}>
+            <b>{getAuthorName(x.author)}:</b> {x.text}
+          </p>
+        ))}
+      </div>
+      <form onSubmit={onSubmit}>
+        <input
+          value={text}
+          maxLength={280}
+          placeholder='Say something'
+          onChange={(e) => setText(e.target.value)}
+        />
+      </form>
+      {notice && <small>{notice}</small>}
+      {onMute && (
+        <button onClick={() => onMute(!muted)}>
+          {muted ? 'Unmute opponent' : 'Mute opponent'}
+        </button>
+      )}
+    </div>
+  )
+}
+
 function Game (props) {
-  const [game, setGame, color, error] = useGame()
+  const {
+    game,
+    sendMove,
+    color,
+    error,
+    tokens,
+    sendAction,
+    requestRematch,
+    clockOffset,
+    isSpectator,
+    spectators,
+    messages,
+    sendMessage
+  } = useGame()
+
+  const result = useMemo(() => game && getGameResult(game), [game])
 
   const geometries = useGeometries()
 
@@ -415,6 +958,93 @@ function Game (props) {
   /* The index in the pieces array of the currently selected piece. */
   const [activePiece, setActivePiece] = useState()
 
+  /* The selected piece moved to the last rank, waiting for its new type. */
+  const [promotion, setPromotion] = useState()
+
+  /* Whether the game over dialog is shown, or hidden to look at the board. */
+  const [showResult, setShowResult] = useState(true)
+
+  /* Whether the board is turned around, to see it from the other side. */
+  const [isFlipped, setFlipped] = useState(false)
+
+  /* Whether the squares each side attacks are shaded. */
+  const [showAttacks, setShowAttacks] = useState(false)
+
+  /*
+   * The number of moves made in the earlier position being replayed, or
+   * undefined to show the current position.
+   */
+  const [replayPly, setReplayPly] = useState()
+  const isReplaying = replayPly !== undefined
+
+  const positions = useMemo(
+    () => game && isReplaying ? getPositions(game) : undefined,
+    [game, isReplaying]
+  )
+  const lastPly = game && game.history ? game.history.length : 0
+  const ply = isReplaying ? Math.min(replayPly, lastPly) : lastPly
+
+  /* Replaying up to the last move goes back to following the game. */
+  const selectPly = useCallback((target) => {
+    setReplayPly(target < lastPly ? target : undefined)
+    setActivePiece(undefined)
+    setPromotion(undefined)
+  }, [lastPly])
+
+  /* Step through the moves with the arrow keys, and Home and End. */
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+        return
+      }
+      const target = {
+        ArrowLeft: ply - 1,
+        ArrowRight: ply + 1,
+        Home: 0,
+        End: lastPly
+      }[e.key]
+      if (target !== undefined && target >= 0 && target <= lastPly) {
+        e.preventDefault()
+        selectPly(target)
+      }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [ply, lastPly, selectPly])
+
+  /* Reset the view when going to another game, such as a rematch. */
+  const gameId = game && game.id
+  useEffect(() => {
+    setActivePiece(undefined)
+    setPromotion(undefined)
+    setShowResult(true)
+    setFlipped(false)
+    setReplayPly(undefined)
+  }, [gameId])
+
+  const onUpdate = (newPiece) => {
+    sendMove({
+      from: activePiece.coord,
+      to: newPiece.coord,
+      promotion: newPiece.type !== activePiece.type ? newPiece.type : undefined
+    })
+
+    /* Deselect the piece. */
+    setActivePiece(undefined)
+    setPromotion(undefined)
+  }
+
+  /* Pawns reaching the last rank must be promoted as part of their move. */
+  const onMove = (newPiece) => {
+    if (canPromote(game, newPiece)) {
+      setPromotion(newPiece)
+    } else {
+      onUpdate(newPiece)
+    }
+  }
+
+  const { drag, startDrag, planeProps } = usePieceDrag(game, onMove)
+
   if (!game) {
     if (error) {
       return (
@@ -440,31 +1070,214 @@ function Game (props) {
 
   const turn = game.moveCount % 2 === 0 ? 'white' : 'black'
   const opponentColor = color === 'black' ? 'white' : 'black'
-  const opponentLink = `/games/${game.id}?color=${opponentColor}`
+  const opponentToken = !game.local && tokens[opponentColor]
 
-  const gameOver = !canMove(game, turn)
+  /* In local games the player plays both sides, so moves for the side to move. */
+  const seat = game.local ? turn : color
+  const opponentLink = (
+    `/games/${game.id}?color=${opponentColor}&token=${opponentToken}`
+  )
 
-  const onUpdate = (newPiece) => {
-    setGame(updatePiece(game, newPiece))
+  const gameOver = !!result
+  const isPlayer = !!tokens[color]
 
-    /* Deselect the piece. */
-    setActivePiece(undefined)
-  }
+  /* There is no one to chat with when playing alone. */
+  const hasChat = isSpectator || !(game.local || game.computer)
+
+  /* The color whose side of the board is nearest the camera. */
+  const viewColor = (color === 'black') !== isFlipped ? 'black' : 'white'
+  const matedKing = !isReplaying && result && result.status === 'checkmate' && (
+    game.pieces.find(x => x.type === 'king' && x.color !== result.winner)
+  )
+
+  /* The position shown on the board. */
+  const shown = isReplaying ? positions[ply] : game
+
+  /* Whether the selected piece can move onto the given piece's square. */
+  const isMoveTarget = (piece) => activePiece && getValidMoves(
+    game,
+    activePiece
+  ).some(x => x[0] === piece.coord[0] && x[1] === piece.coord[1])
 
   return (
     <>
       <div className='sidebar'>
         <h1> R3Chess </h1>
+        {game.clock && (
+          <Clocks game={game} color={viewColor} clockOffset={clockOffset} />
+        )}
         <ul>
+          {game.players && !game.local && (
+            <li>
+              {['white', 'black'].map(x => (
+                (game.players[x] && game.players[x].username) || 'Anonymous'
+              )).join(' vs ')}
+            </li>
+          )}
+          {game.variant && (
+            <li>{getVariant(game.variant).name}</li>
+          )}
+          {isSpectator && (
+            <li>Spectating</li>
+          )}
+          {spectators > 0 && (
+            <li>{spectators} watching</li>
+          )}
+          <li>
+            <button onClick={() => setFlipped(!isFlipped)}>
+              Flip board
+            </button>
+          </li>
+          <li>
+            <label>
+              <input
+                type='checkbox'
+                checked={showAttacks}
+                onChange={(e) => setShowAttacks(e.target.checked)}
+              />
+              Show attacked squares
+            </label>
+          </li>
+          {game.variant === 'threeCheck' && (
+            <li>
+              Checks: white {getChecks(shown).white}/{CHECKS_TO_WIN},
+              black {getChecks(shown).black}/{CHECKS_TO_WIN}
+            </li>
+          )}
+          {game.computer && (
+            <li>
+              Playing the computer (level {game.computer.level})
+              {!gameOver && turn === game.computer.color && (
+                <> &mdash; thinking&hellip;</>
+              )}
+            </li>
+          )}
+          {opponentToken && (
+            <li>
+              <Link to={opponentLink}>
+                Play as {opponentColor}!
+              </Link>
+            </li>
+          )}
+          {isPlayer && !gameOver && game.local && (
+            <li>
+              <button
+                onClick={() => sendAction('request-takeback')}
+                disabled={!game.history || game.history.length === 0}
+              >
+                Undo
+              </button>
+            </li>
+          )}
+          {isPlayer && !gameOver && !game.local && (
+            <>
+              {game.takeback && game.takeback.color === opponentColor && (
+                <li className='notice'>
+                  <p>Your opponent asks to take back their last move.</p>
+                  <button onClick={() => sendAction('accept-takeback')}>
+                    Accept
+                  </button>
+                  {' '}
+                  <button onClick={() => sendAction('decline-takeback')}>
+                    Decline
+                  </button>
+                </li>
+              )}
+              {game.drawOffer === opponentColor && (
+                <li className='notice'>
+                  <p>Your opponent offers a draw.</p>
+                  <button onClick={() => sendAction('accept-draw')}>
+                    Accept
+                  </button>
+                  {' '}
+                  <button onClick={() => sendAction('decline-draw')}>
+                    Decline
+                  </button>
+                </li>
+              )}
+              {getDrawClaim(game) && getTurn(game) === color && (
+                <li>
+                  <button onClick={() => sendAction('claim-draw')}>
+                    Claim a draw by {getDrawClaim(game)}
+                  </button>
+                </li>
+              )}
+              {!game.computer && (
+                <li>
+                  <button
+                    onClick={() => sendAction('offer-draw')}
+                    disabled={game.drawOffer === color}
+                  >
+                    {game.drawOffer === color ? 'Draw offered' : 'Offer a draw'}
+                  </button>
+                </li>
+              )}
+              <li>
+                <button
+                  onClick={() => sendAction('request-takeback')}
+                  disabled={!requestTakeback(game, color)}
+                >
+                  {game.takeback && game.takeback.color === color
+                    ? 'Takeback requested'
+                    : 'Request a takeback'}
+                </button>
+              </li>
+              <li>
+                <button
+                  onClick={() => (
+                    window.confirm('Are you sure you want to resign?') &&
+                    sendAction('resign')
+                  )}
+                >
+                  Resign
+                </button>
+              </li>
+            </>
+          )}
+          {isReplaying && !gameOver && (
+            <li className='notice'>
+              <p>You are looking at an earlier position.</p>
+              <button onClick={() => selectPly(lastPly)}>
+                Back to the game
+              </button>
+            </li>
+          )}
+          {gameOver && !showResult && (
+            <li>
+              <a href='#result' onClick={() => setShowResult(true)}>
+                {describeResult(result)}
+              </a>
+            </li>
+          )}
           <li>
-            <Link to={opponentLink}>
-              Play as {opponentColor}!
-            </Link>
+            <Link to={getAnalysisLink(shown)}>Analyse this position</Link>
+          </li>
+          <li>
+            <a href={`/api/games/${game.id}?format=pgn`} download>
+              Download PGN
+            </a>
           </li>
           <li>
             <Link to='/'> All games </Link>
           </li>
         </ul>
+        {lastPly > 0 && (
+          <MoveList
+            history={game.history}
+            initialMoveCount={game.moveCount - lastPly}
+            ply={ply}
+            onSelect={selectPly}
+          />
+        )}
+        {hasChat && (
+          <Chat
+            messages={messages}
+            title={isSpectator ? 'Spectator chat' : 'Chat'}
+            onSend={sendMessage}
+            muted={!!(game.mutes && game.mutes[color])}
+            onMute={isPlayer && ((muted) => sendAction('mute', { muted }))}
+          />
+        )}
       </div>
       <div className='content'>
         <Canvas
@@ -473,7 +1286,7 @@ function Game (props) {
             setDistance(Math.max(distance + e.deltaY * 0.1, 0))
           }}
         >
-          <ChessCamera turn={color} distance={distance} />
+          <ChessCamera turn={viewColor} distance={distance} />
           <hemisphereLight intensity={0.75} skyColor={0xFFFFFF} groundColor={0x0} />
           <directionalLight
             position={[1, 6, 2]}
@@ -484,42 +1297,84 @@ function Game (props) {
           <group
             position={[-3.5, 0, -3.5]}
           >
-            <Board colors={['black', 'white']} />
-            {game.pieces.map((piece, i) => (
+            <Board
+              colors={['black', 'white']}
+              hill={game.variant === 'kingOfTheHill' ? HILL_SQUARES : []}
+              {...getHighlights(shown, showAttacks)}
+            />
+            <DragPlane {...planeProps} />
+            {shown.pieces.map((piece, i) => (
               <Piece
                 key={piece.id}
                 geometry={geometries[piece.type]}
-                game={game}
+                game={shown}
                 piece={piece}
-                onClick={() => setActivePiece(piece)}
+                onClick={() => {
+                  /* In Chess960 the king castles by moving onto the rook. */
+                  if (isMoveTarget(piece)) {
+                    onMove({ ...activePiece, coord: piece.coord })
+                  } else {
+                    setActivePiece(piece)
+                    setPromotion(undefined)
+                  }
+                }}
+                onPointerDown={(e) => {
+                  if (!isMoveTarget(piece)) {
+                    setActivePiece(piece)
+                    setPromotion(undefined)
+                    startDrag(e, piece)
+                  }
+                }}
+                dragPosition={
+                  drag && drag.piece.id === piece.id ? drag.position : undefined
+                }
                 active={piece === activePiece}
-                disabled={color !== piece.color || turn !== color}
+                mated={piece === matedKing}
+                disabled={
+                  seat !== piece.color || turn !== seat || !isPlayer ||
+                  gameOver || isSpectator || isReplaying
+                }
               />
             ))}
-            {activePiece !== undefined && (
+            {drag && drag.square && (
+              <Ghost
+                piece={drag.piece}
+                coord={drag.square}
+                geometry={geometries[drag.piece.type]}
+              />
+            )}
+            {activePiece !== undefined && !isSpectator && !isReplaying && (
               <PieceMover
                 game={game}
                 piece={activePiece}
-                onUpdate={onUpdate}
+                onUpdate={onMove}
               />
             )}
             <PromoteMenu
               game={game}
-              piece={activePiece}
+              piece={promotion}
               onUpdate={onUpdate}
             />
           </group>
         </Canvas>
       </div>
       {
-        gameOver && (
+        gameOver && showResult && (
           <Dialog>
             <h1>Game over!</h1>
             <p>
-              {
-                  (isInCheck(game, turn) ? 'Checkmate: ' : 'Stalemate: ') +
-                  turn + ' loses!'
-                }
+              {describeResult(result)}
+            </p>
+            <p>
+              {isPlayer && (
+                <button onClick={requestRematch}>
+                  {game.rematch ? 'Join the rematch' : 'Rematch'}
+                </button>
+              )}
+              {' '}
+              <button onClick={() => setShowResult(false)}>
+                View board
+              </button>
             </p>
           </Dialog>
         )
@@ -528,68 +1383,1262 @@ function Game (props) {
   )
 }
 
-function CreateGame (props) {
-  const [id, setId] = useState()
+/* Returns the link to analyse the given position. */
+function getAnalysisLink (game) {
+  const params = new URLSearchParams({ fen: toFEN(game) })
+  if (game.variant) {
+    params.set('variant', game.variant)
+  }
+  return `/analysis?${params}`
+}
 
-  useEffect(() => {
-    (async () => {
-      const result = await fetch(
-        '/api/games',
-        {
-          method: 'POST'
-        }
-      )
-      const json = await result.json()
-      setId(json.id)
-    })()
-  }, [setId])
+/*
+ * The moves explored on the analysis board, written like the movetext of a
+ * PGN, with variations in brackets after the move they replace.
+ *
+ * Props:
+ *  - nodes - the nodes of the analysis tree
+ *  - current - the id of the node being shown
+ *  - onSelect (id) - shows the position of the given node
+ */
+function MoveTree (props) {
+  const { nodes, current, onSelect } = props
 
-  if (id) {
-    return <Redirect to={`/games/${id}?color=white`} />
-  } else {
-    return null
+  const renderMove = (id, withNumber) => {
+    const { game, move } = nodes[id]
+    const ply = game.moveCount - 1
+    const number = Math.floor(ply / 2) + 1
+    return (
+      <button
+        key={id}
+        className={id === current ? 'current' : undefined}
+        onClick={() => onSelect(id)}
+      >
+        {ply % 2 === 0 ? `${number}. ` : withNumber && `${number}... `}
+        {move.san}
+      </button>
+    )
+  }
+
+  /* Renders the moves following the given node, and their variations. */
+  const renderLine = (id) => {
+    const items = []
+    let node = nodes[id]
+    let withNumber = true
+    while (node.children.length > 0) {
+      const [main, ...variations] = node.children
+      items.push(renderMove(main, withNumber))
+      variations.forEach(x => {
+        items.push(
+          <span key={`variation-${x}`} className='variation'>
+            ({renderMove(x, true)}{renderLine(x)})
+          </span>
+        )
+      })
+      withNumber = variations.length > 0
+      node = nodes[main]
+    }
+    return items
   }
-}
 
-function GamesList (props) {
   return (
-    <table style={{ width: '100%', textAlign: 'left' }}>
-      <thead>
-        <tr>
-          <th>Game</th>
-          <th>Date</th>
-          <th>Color</th>
-        </tr>
-      </thead>
-      <tbody>
-        {props.games.map((x, i) => (
-          <tr key={x.id}>
-            <td>
-              <Link to={`/games/${x.id}?color=${x.color}`}>
-                Game {i + 1}
-              </Link>
-            </td>
-            <td>
-              {new Date(x.date).toLocaleString()}
-            </td>
-            <td>
-              {x.color}
-            </td>
-            <td>
+    <div className='move-tree'>
+      {renderLine(0)}
+    </div>
+  )
+}
+
+/*
+ * The analysis board, where moves can be made for both sides from any
+ * position, and variations explored, without a server. The starting position
+ * is given by the fen and variant query parameters.
+ */
+function Analysis () {
+  const query = useQuery()
+  const history = useHistory()
+  const fen = query.get('fen')
+  const variant = query.get('variant') || 'standard'
+
+  const { initialGame, error } = useMemo(() => {
+    try {
+      const game = fen ? fromFEN(fen, { variant }) : makeGame({ variant })
+      const error = getPositionError(game)
+      return error ? { initialGame: makeGame(), error } : { initialGame: game }
+    } catch (e) {
+      return { initialGame: makeGame(), error: e.message }
+    }
+  }, [fen, variant])
+
+  const { nodes, current, playMove, select } = useAnalysis(initialGame)
+  const game = current.game
+  const result = useMemo(() => getGameResult(game), [game])
+
+  const geometries = useGeometries()
+  const [distance, setDistance] = useState(7)
+  const [activePiece, setActivePiece] = useState()
+  const [promotion, setPromotion] = useState()
+  const [isFlipped, setFlipped] = useState(false)
+  const [showAttacks, setShowAttacks] = useState(false)
+  const [fenText, setFenText] = useState(fen || '')
+  const [variantText, setVariantText] = useState(variant)
+
+  /* Deselect the piece when the position changes. */
+  useEffect(() => {
+    setActivePiece(undefined)
+    setPromotion(undefined)
+  }, [game])
+
+  /* Go back and forth along the current line with the arrow keys. */
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) {
+        return
+      }
+      const target = {
+        ArrowLeft: current.parent,
+        ArrowRight: current.children[0]
+      }[e.key]
+      if (target !== undefined) {
+        e.preventDefault()
+        select(target)
+      }
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [current, select])
+
+  const turn = getTurn(game)
+  const viewColor = isFlipped ? 'black' : 'white'
+  const matedKing = result && result.status === 'checkmate' && (
+    game.pieces.find(x => x.type === 'king' && x.color !== result.winner)
+  )
+
+  const onUpdate = (newPiece) => {
+    playMove({
+      from: activePiece.coord,
+      to: newPiece.coord,
+      promotion: newPiece.type !== activePiece.type ? newPiece.type : undefined
+    })
+  }
+
+  const onMove = (newPiece) => {
+    if (canPromote(game, newPiece)) {
+      setPromotion(newPiece)
+    } else {
+      onUpdate(newPiece)
+    }
+  }
+
+  const { drag, startDrag, planeProps } = usePieceDrag(game, onMove)
+
+  const isMoveTarget = (piece) => activePiece && getValidMoves(
+    game,
+    activePiece
+  ).some(x => x[0] === piece.coord[0] && x[1] === piece.coord[1])
+
+  const onSetUp = (e) => {
+    e.preventDefault()
+    const params = new URLSearchParams({ fen: fenText.trim() })
+    if (variantText !== 'standard') {
+      params.set('variant', variantText)
+    }
+    history.push(`/analysis?${params}`)
+  }
+
+  return (
+    <>
+      <div className='sidebar'>
+        <h1> Analysis </h1>
+        <ul>
+          <li>
+            {result
+              ? describeResult(result)
+              : `${turn === 'white' ? 'White' : 'Black'} to move`}
+          </li>
+          <li>
+            <button onClick={() => setFlipped(!isFlipped)}>
+              Flip board
+            </button>
+          </li>
+          <li>
+            <label>
+              <input
+                type='checkbox'
+                checked={showAttacks}
+                onChange={(e) => setShowAttacks(e.target.checked)}
+              />
+              Show attacked squares
+            </label>
+          </li>
+          <li>
+            <button
+              onClick={() => select(current.parent)}
+              disabled={current.parent === undefined}
+            >
+              &#x25C0;
+            </button>
+            {' '}
+            <button
+              onClick={() => select(current.children[0])}
+              disabled={current.children.length === 0}
+            >
+              &#x25B6;
+            </button>
+          </li>
+        </ul>
+        <MoveTree nodes={nodes} current={current.id} onSelect={select} />
+        <form className='form' onSubmit={onSetUp}>
+          <label>
+            FEN
+            <input
+              value={toFEN(game)}
+              readOnly
+              onFocus={(e) => e.target.select()}
+            />
+          </label>
+          <label>
+            Set up a position
+            <input
+              value={fenText}
+              placeholder='FEN'
+              onChange={(e) => setFenText(e.target.value)}
+            />
+          </label>
+          <label>
+            Variant
+            <select
+              value={variantText}
+              onChange={(e) => setVariantText(e.target.value)}
+            >
+              {VARIANTS.map(x => (
+                <option key={x} value={x}>{getVariant(x).name}</option>
+              ))}
+            </select>
+          </label>
+          <button type='submit' disabled={!fenText.trim()}>Set up</button>
+        </form>
+        {error && <p className='notice'>{error}</p>}
+        <p>
+          <Link to='/'> All games </Link>
+        </p>
+      </div>
+      <div className='content'>
+        <Canvas
+          shadowMap
+          onWheel={(e) => {
+            setDistance(Math.max(distance + e.deltaY * 0.1, 0))
+          }}
+        >
+          <ChessCamera turn={viewColor} distance={distance} />
+          <hemisphereLight intensity={0.75} skyColor={0xFFFFFF} groundColor={0x0} />
+          <directionalLight
+            position={[1, 6, 2]}
+            shadow-mapSize-width={2048}
+            shadow-mapSize-height={2048}
+            castShadow
+          />
+          <group
+            position={[-3.5, 0, -3.5]}
+          >
+            <Board
+              colors={['black', 'white']}
+              hill={game.variant === 'kingOfTheHill' ? HILL_SQUARES : []}
+              {...getHighlights(game, showAttacks)}
+            />
+            <DragPlane {...planeProps} />
+            {game.pieces.map((piece) => (
+              <Piece
+                key={piece.id}
+                geometry={geometries[piece.type]}
+                game={game}
+                piece={piece}
+                onClick={() => {
+                  /* In Chess960 the king castles by moving onto the rook. */
+                  if (isMoveTarget(piece)) {
+                    onMove({ ...activePiece, coord: piece.coord })
+                  } else {
+                    setActivePiece(piece)
+                    setPromotion(undefined)
+                  }
+                }}
+                onPointerDown={(e) => {
+                  if (!isMoveTarget(piece)) {
+                    setActivePiece(piece)
+                    setPromotion(undefined)
+                    startDrag(e, piece)
+                  }
+                }}
+                dragPosition={
+                  drag && drag.piece.id === piece.id ? drag.position : undefined
+                }
+                active={piece === activePiece}
+                mated={piece === matedKing}
+                disabled={piece.color !== turn || !!result}
+              />
+            ))}
+            {drag && drag.square && (
+              <Ghost
+                piece={drag.piece}
+                coord={drag.square}
+                geometry={geometries[drag.piece.type]}
+              />
+            )}
+            {activePiece !== undefined && (
+              <PieceMover
+                game={game}
+                piece={activePiece}
+                onUpdate={onMove}
+              />
+            )}
+            <PromoteMenu
+              game={game}
+              piece={promotion}
+              onUpdate={onUpdate}
+            />
+          </group>
+        </Canvas>
+      </div>
+    </>
+  )
+}
+
+/* The types of piece which can be placed in the editor, in the order shown. */
+const EDITOR_TYPES = ['king', 'queen', 'rook', 'bishop', 'knight', 'pawn']
+
+/* The castling rights which can be chosen in the editor, as in FEN. */
+const CASTLING_RIGHTS = [
+  ['K', 'White O-O'],
+  ['Q', 'White O-O-O'],
+  ['k', 'Black O-O'],
+  ['q', 'Black O-O-O']
+]
+
+/*
+ * The board editor, where pieces are dragged onto the board from either side
+ * of it, moved around, and dragged off the board to remove them. Once the side
+ * to move and castling rights are chosen too, and the position is legal, a
+ * game can be started from it.
+ */
+function Editor () {
+  const geometries = useGeometries()
+  const theme = useContext(ThemeContext)
+  const [distance, setDistance] = useState(10)
+  const [isFlipped, setFlipped] = useState(false)
+  const [pieces, setPieces] = useState(() => makeGame().pieces)
+  const [turn, setTurn] = useState('white')
+  const [castling, setCastling] = useState('KQkq')
+
+  /* The piece being dragged and where it is now, as { piece, position }. */
+  const [drag, setDrag] = useState()
+
+  const fen = [
+    toFEN({ pieces, moveCount: 0 }).split(' ')[0],
+    turn[0],
+    castling || '-',
+    '-',
+    0,
+    1
+  ].join(' ')
+
+  /* Castling rights are dropped if the king or rook is not in place. */
+  const { game, error } = useMemo(() => {
+    try {
+      const game = fromFEN(fen)
+      return { game, error: getPositionError(game) }
+    } catch (e) {
+      return { error: e.message }
+    }
+  }, [fen])
+
+  const nextId = Math.max(-1, ...pieces.map(x => x.id)) + 1
+
+  const startDrag = (e, piece) => {
+    e.stopPropagation()
+    e.target.setPointerCapture(e.pointerId)
+    setDrag({ piece, position: toBoardPosition(e.point) })
+  }
+
+  const moveDrag = (e) => {
+    if (drag) {
+      setDrag({ ...drag, position: toBoardPosition(e.point) })
+    }
+  }
+
+  /* Pieces dropped on the board replace what was there, and others vanish. */
+  const endDrag = (e) => {
+    if (!drag) {
+      return
+    }
+    e.target.releasePointerCapture(e.pointerId)
+    const coord = toBoardPosition(e.point).map(Math.round)
+    const isOnBoard = coord.every(x => x >= 0 && x < 8)
+    setPieces(pieces => [
+      ...pieces.filter(x => x.id !== drag.piece.id && !(
+        isOnBoard && x.coord[0] === coord[0] && x.coord[1] === coord[1]
+      )),
+      ...(isOnBoard ? [{ ...drag.piece, coord, moveCount: 0 }] : [])
+    ])
+    setDrag(undefined)
+  }
+
+  const toggleCastling = (right) => {
+    setCastling(CASTLING_RIGHTS.map(([x]) => x).filter(x => (
+      x === right ? !castling.includes(x) : castling.includes(x)
+    )).join(''))
+  }
+
+  return (
+    <>
+      <div className='sidebar'>
+        <h1> Board editor </h1>
+        <p>
+          Drag pieces from beside the board onto it, and off the board to
+          remove them.
+        </p>
+        <ul>
+          <li>
+            <button onClick={() => setPieces(makeGame().pieces)}>
+              Starting position
+            </button>
+            {' '}
+            <button onClick={() => setPieces([])}>
+              Clear board
+            </button>
+          </li>
+          <li>
+            <button onClick={() => setFlipped(!isFlipped)}>
+              Flip board
+            </button>
+          </li>
+        </ul>
+        <div className='form'>
+          <label>
+            Side to move
+            <select value={turn} onChange={(e) => setTurn(e.target.value)}>
+              <option value='white'>White</option>
+              <option value='black'>Black</option>
+            </select>
+          </label>
+          {CASTLING_RIGHTS.map(([right, name]) => (
+            <label key={right} className='checkbox'>
+              <input
+                type='checkbox'
+                checked={castling.includes(right)}
+                onChange={() => toggleCastling(right)}
+              />
+              {name}
+            </label>
+          ))}
+          <label>
+            FEN
+            <input
+              value={game ? toFEN(game) : fen}
+              readOnly
+              onFocus={(e) => e.target.select()}
+            />
+          </label>
+        </div>
+        {error
+          ? <p className='notice'>{error}</p>
+          : (
+            <ul>
+              <li>
+                <NewGameLink fen={toFEN(game)} />
+              </li>
+              <li>
+                <Link to={getAnalysisLink(game)}>Analyse this position</Link>
+              </li>
+            </ul>
+            )}
+        <p>
+          <Link to='/'> All games </Link>
+        </p>
+      </div>
+      <div className='content'>
+        <Canvas
+          shadowMap
+          onWheel={(e) => {
+            setDistance(Math.max(distance + e.deltaY * 0.1, 0))
+          }}
+        >
+          <ChessCamera
+            turn={isFlipped ? 'black' : 'white'}
+            distance={distance}
+          />
+          <hemisphereLight intensity={0.75} skyColor={0xFFFFFF} groundColor={0x0} />
+          <directionalLight
+            position={[1, 6, 2]}
+            shadow-mapSize-width={2048}
+            shadow-mapSize-height={2048}
+            castShadow
+          />
+          <group
+            position={[-3.5, 0, -3.5]}
+          >
+            <Board colors={['black', 'white']} />
+            <DragPlane onPointerMove={moveDrag} onPointerUp={endDrag} />
+            {pieces.filter(x => !drag || x.id !== drag.piece.id).map(piece => (
+              <Piece
+                key={piece.id}
+                geometry={geometries[piece.type]}
+                piece={piece}
+                onPointerDown={(e) => startDrag(e, piece)}
+              />
+            ))}
+            {['white', 'black'].map(color => EDITOR_TYPES.map((type, i) => (
+              <mesh
+                key={`${color}-${type}`}
+                geometry={geometries[type]}
+                material={theme.materials[color]}
+                position={[i + 1, 0, color === 'white' ? -1.5 : 8.5]}
+                rotation-y={color === 'black' ? 0 : Math.PI}
+                onPointerDown={(e) => startDrag(e, {
+                  id: nextId,
+                  type,
+                  color,
+                  moveCount: 0
+                })}
+                castShadow
+              />
+            )))}
+            {drag && (
+              <mesh
+                geometry={geometries[drag.piece.type]}
+                material={theme.materials[drag.piece.color]}
+                position={[drag.position[0], 0.25, drag.position[1]]}
+                rotation-y={drag.piece.color === 'black' ? 0 : Math.PI}
+                castShadow
+              />
+            )}
+          </group>
+        </Canvas>
+      </div>
+    </>
+  )
+}
+
+/* Time controls offered when creating a game, in minutes plus seconds. */
+const TIME_CONTROLS = ['1+0', '3+2', '5+3', '10+5', '15+10', '30+0']
+
+/*
+ * Creates a game and goes to it. The query string can have a timeControl such
+ * as '5+3', a clockMode of 'increment' or 'delay', and an opponent of 'local'
+ * to play both sides on this device, or 'computer' to play the computer at the
+ * given level as the given color. A variant such as 'chess960' plays that
+ * variant instead of standard chess. If public is 'true', the game is listed
+ * for anyone to watch.
+ */
+function CreateGame (props) {
+  const [game, setGame] = useState()
+  const [error, setError] = useState()
+  const [, setGames] = useGames()
+  const [session] = useSession()
+  const query = useQuery()
+  const timeControl = query.get('timeControl')
+  const clockMode = query.get('clockMode')
+  const opponent = query.get('opponent')
+  const level = Number(query.get('level')) || 1
+  const color = query.get('color') || 'white'
+  const variant = query.get('variant')
+  const isPublic = query.get('public') === 'true'
+  const fen = query.get('fen')
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const result = await fetch(
+          '/api/games',
+          {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              ...(session && { 'X-Session': session })
+            },
+            body: JSON.stringify({
+              ...(timeControl && { timeControl }),
+              ...(clockMode && { clockMode }),
+              ...(variant && { variant }),
+              ...(isPublic && { public: true }),
+              ...(fen && { fen }),
+              ...(opponent === 'local' && { local: true }),
+              ...(opponent === 'computer' && { opponent, level, color })
+            })
+          }
+        )
+        if (!result.ok) {
+          setError('The game could not be created.')
+          return
+        }
+        const json = await result.json()
+        const playerColor = opponent === 'computer' ? color : 'white'
+
+        /* Keep the seat tokens, so only this player can make their moves. */
+        setGames((games) => [
+          ...games,
+          {
+            id: json.id,
+            color: playerColor,
+            tokens: json.tokens,
+            date: Date.now()
+          }
+        ])
+        setGame({ id: json.id, color: playerColor })
+      } catch (e) {
+        setError(e.toString())
+      }
+    })()
+  }, [
+    setGame,
+    setError,
+    setGames,
+    session,
+    timeControl,
+    clockMode,
+    opponent,
+    level,
+    color,
+    variant,
+    isPublic,
+    fen
+  ])
+
+  if (game) {
+    return <Redirect to={`/games/${game.id}?color=${game.color}`} />
+  } else if (error) {
+    return (
+      <div className='page'>
+        <h1> Error </h1>
+        <p className='notice'>{error}</p>
+        <p>
+          <Link to='/'>Return to Home</Link>
+        </p>
+      </div>
+    )
+  } else {
+    return null
+  }
+}
+
+/*
+ * A link to create a new game, with a choice of variant, time control and
+ * opponent: a friend, both sides on this device, or the computer.
+ *
+ * Props:
+ *  - fen - the position to start the game from, if not the usual one
+ */
+function NewGameLink (props) {
+  const { fen } = props
+  const [variant, setVariant] = useState('standard')
+  const [timeControl, setTimeControl] = useState('')
+  const [clockMode, setClockMode] = useState('increment')
+  const [opponent, setOpponent] = useState('friend')
+  const [level, setLevel] = useState(1)
+  const [color, setColor] = useState('white')
+  const [isPublic, setPublic] = useState(false)
+  const query = new URLSearchParams({
+    ...(variant !== 'standard' && { variant }),
+    ...(timeControl && { timeControl, clockMode }),
+    ...(opponent !== 'friend' && { opponent }),
+    ...(opponent === 'computer' && { level, color }),
+    ...(isPublic && { public: true }),
+    ...(fen && { fen })
+  })
+  return (
+    <>
+      <Link to={`/games?${query}`}> New game </Link>
+      {' '}
+      <select
+        value={variant}
+        onChange={(e) => setVariant(e.target.value)}
+      >
+        {VARIANTS.map(x => (
+          <option key={x} value={x}>{getVariant(x).name}</option>
+        ))}
+      </select>
+      {' '}
+      <select
+        value={timeControl}
+        onChange={(e) => setTimeControl(e.target.value)}
+      >
+        <option value=''>Untimed</option>
+        {TIME_CONTROLS.map(x => (
+          <option key={x} value={x}>{x}</option>
+        ))}
+      </select>
+      {' '}
+      {timeControl && (
+        <select
+          value={clockMode}
+          onChange={(e) => setClockMode(e.target.value)}
+        >
+          <option value='increment'>Increment</option>
+          <option value='delay'>Delay</option>
+        </select>
+      )}
+      {' '}
+      <select
+        value={opponent}
+        onChange={(e) => setOpponent(e.target.value)}
+      >
+        <option value='friend'>vs friend</option>
+        <option value='local'>Local</option>
+        <option value='computer'>vs computer</option>
+      </select>
+      {opponent === 'computer' && (
+        <>
+          {' '}
+          <select
+            value={level}
+            onChange={(e) => setLevel(Number(e.target.value))}
+          >
+            {ENGINE_LEVELS.map((x, i) => (
+              <option key={i} value={i + 1}>Level {i + 1}</option>
+            ))}
+          </select>
+          {' '}
+          <select
+            value={color}
+            onChange={(e) => setColor(e.target.value)}
+          >
+            <option value='white'>as white</option>
+            <option value='black'>as black</option>
+          </select>
+        </>
+      )}
+      {' '}
+      <label>
+        <input
+          type='checkbox'
+          checked={isPublic}
+          onChange={(e) => setPublic(e.target.checked)}
+        />
+        Public
+      </label>
+    </>
+  )
+}
+
+function GamesList (props) {
+  return (
+    <table style={{ width: '100%', textAlign: 'left' }}>
+      <thead>
+        <tr>
+          <th>Game</th>
+          <th>Date</th>
+          <th>Color</th>
+        </tr>
+      </thead>
+      <tbody>
+        {props.games.map((x, i) => (
+          <tr key={x.id}>
+            <td>
+              <Link to={`/games/${x.id}?color=${x.color}`}>
+                Game {i + 1}
+              </Link>
+            </td>
+            <td>
+              {new Date(x.date).toLocaleString()}
+            </td>
+            <td>
+              {x.color}
+            </td>
+            <td>
               <button onClick={() => props.onDelete(x)}>
                 Delete
               </button>
             </td>
           </tr>
         ))}
-        <tr><td><Link to='/games'> New game </Link></td></tr>
+        <tr><td colSpan={4}><NewGameLink /></td></tr>
       </tbody>
     </table>
   )
 }
 
+/* Describes how a game went for the player of the given color. */
+function describeOutcome (result, color) {
+  if (!result) {
+    return 'In progress'
+  } else if (!result.winner) {
+    return 'Draw'
+  }
+  return result.winner === color ? 'Won' : 'Lost'
+}
+
+/* Describes who the player of the given color played in a game. */
+function describeOpponent (game, color) {
+  const opponent = game.players[color === 'white' ? 'black' : 'white']
+  if (game.computer) {
+    return `Computer (level ${game.computer.level})`
+  } else if (game.local) {
+    return 'Local'
+  }
+  return opponent ? opponent.username : 'Waiting'
+}
+
+/* The games of the signed in account, as sent by the server. */
+function AccountGamesList (props) {
+  return (
+    <table style={{ width: '100%', textAlign: 'left' }}>
+      <thead>
+        <tr>
+          <th>Date</th>
+          <th>Color</th>
+          <th>Opponent</th>
+          <th>Result</th>
+        </tr>
+      </thead>
+      <tbody>
+        {props.games.map((x) => (
+          <tr key={x.id}>
+            <td>
+              <Link to={`/games/${x.id}?color=${x.color}`}>
+                {new Date(x.date).toLocaleString()}
+              </Link>
+            </td>
+            <td>{x.color}</td>
+            <td>{describeOpponent(x, x.color)}</td>
+            <td>{describeOutcome(x.result, x.color)}</td>
+          </tr>
+        ))}
+        <tr><td colSpan={4}><NewGameLink /></td></tr>
+      </tbody>
+    </table>
+  )
+}
+
+/* The rating and record of an account. */
+function Stats (props) {
+  const { rating, record } = props.user
+  return (
+    <table style={{ width: '100%', textAlign: 'left' }}>
+      <thead>
+        <tr>
+          <th>Rating</th>
+          <th>Wins</th>
+          <th>Losses</th>
+          <th>Draws</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td>
+            {Math.round(rating.rating)} &plusmn; {Math.round(rating.deviation)}
+          </td>
+          <td>{record.wins}</td>
+          <td>{record.losses}</td>
+          <td>{record.draws}</td>
+        </tr>
+      </tbody>
+    </table>
+  )
+}
+
+/*
+ * Signing in and creating accounts. An account needs a password, an email to
+ * be sent sign in links, or both. Following a sign in link comes back here
+ * with its token in the query string.
+ */
+function Login () {
+  const { user, signIn } = useAccount()
+  const query = useQuery()
+  const token = query.get('token')
+  const [mode, setMode] = useState('password')
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [email, setEmail] = useState('')
+  const [message, setMessage] = useState()
+
+  /* Sends a request to sign in, and starts the session it responds with. */
+  const post = useCallback(async (path, body) => {
+    try {
+      const result = await fetch(path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      })
+      if (result.status === 204) {
+        setMessage('Check your email for a link to sign in.')
+      } else if (result.ok) {
+        signIn(await result.json())
+      } else if (result.status === 401) {
+        setMessage('That didn\'t work. Please check your details.')
+      } else if (result.status === 409) {
+        setMessage('That username or email is already taken.')
+      } else if (result.status === 503) {
+        setMessage('Signing in by email isn\'t available on this server.')
+      } else {
+        setMessage('Something went wrong. Please try again.')
+      }
+    } catch (e) {
+      setMessage(e.toString())
+    }
+  }, [signIn])
+
+  useEffect(() => {
+    if (token) {
+      post('/api/sessions', { token })
+    }
+  }, [token, post])
+
+  if (user) {
+    return <Redirect to='/' />
+  }
+
+  const onSubmit = (e) => {
+    e.preventDefault()
+    if (mode === 'password') {
+      post('/api/sessions', { username, password })
+    } else if (mode === 'email') {
+      post('/api/sessions/email', { email })
+    } else {
+      post('/api/users', {
+        username,
+        ...(password && { password }),
+        ...(email && { email })
+      })
+    }
+  }
+
+  return (
+    <div className='page' style={{ margin: 'auto', marginTop: '16px' }}>
+      <h1> R3Chess </h1>
+      <p>
+        <select value={mode} onChange={(e) => setMode(e.target.value)}>
+          <option value='password'>Sign in with a password</option>
+          <option value='email'>Email me a sign in link</option>
+          <option value='register'>Create an account</option>
+        </select>
+      </p>
+      <form className='form' onSubmit={onSubmit}>
+        {mode !== 'email' && (
+          <label>
+            Username
+            <input
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete='username'
+            />
+          </label>
+        )}
+        {mode !== 'email' && (
+          <label>
+            Password{mode === 'register' && ' (optional with an email)'}
+            <input
+              type='password'
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={
+                mode === 'register' ? 'new-password' : 'current-password'
+              }
+            />
+          </label>
+        )}
+        {mode !== 'password' && (
+          <label>
+            Email{mode === 'register' && ' (optional with a password)'}
+            <input
+              type='email'
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              autoComplete='email'
+            />
+          </label>
+        )}
+        <button type='submit'>
+          {mode === 'register' ? 'Create account' : 'Sign in'}
+        </button>
+      </form>
+      {message && <p className='notice'>{message}</p>}
+      <p>
+        <Link to='/'>Return to Home</Link>
+      </p>
+    </div>
+  )
+}
+
+/* How far from their rating a player seeking a game will take an opponent. */
+const RATING_RANGES = [100, 200, 300, 500]
+
+/*
+ * The lobby, listing the open seeks. Players can post a seek of their own and
+ * wait for an opponent, or accept someone else's. Either way, both players go
+ * straight to the new game once they are paired.
+ */
+function Lobby () {
+  const seeks = useSeeks()
+  const seeker = useSeeker()
+  const { user, session } = useAccount()
+  const [, setGames] = useGames()
+  const history = useHistory()
+  const [variant, setVariant] = useState('standard')
+  const [timeControl, setTimeControl] = useState('')
+  const [clockMode, setClockMode] = useState('increment')
+  const [color, setColor] = useState('random')
+  const [ratingRange, setRatingRange] = useState('')
+  const [error, setError] = useState()
+
+  /* The player's own open seek, of the form { seek, token }. */
+  const [ownSeek, setOwnSeek] = useState()
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Seeker': seeker,
+    ...(session && { 'X-Session': session })
+  }
+
+  /* Saves the player's side of a new game, and goes to it. */
+  const goToGame = useCallback(({ id, color, tokens }) => {
+    setGames((games) => [...games, { id, color, tokens, date: Date.now() }])
+    history.push(`/games/${id}?color=${color}`)
+  }, [setGames, history])
+
+  /* Go to the game once someone accepts the player's seek. */
+  const handlers = useMemo(() => ({ paired: goToGame }), [goToGame])
+  useEvents(
+    ownSeek && `/api/seeks/${ownSeek.seek.id}/events?token=${ownSeek.token}`,
+    handlers
+  )
+
+  /* Cancel the seek when leaving the lobby. */
+  useEffect(() => {
+    if (ownSeek) {
+      return () => {
+        fetch(`/api/seeks/${ownSeek.seek.id}`, {
+          method: 'DELETE',
+          headers: { Authorization: `Bearer ${ownSeek.token}` }
+        })
+      }
+    }
+  }, [ownSeek])
+
+  const postSeek = async () => {
+    try {
+      const result = await fetch('/api/seeks', {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          ...(variant !== 'standard' && { variant }),
+          ...(timeControl && { timeControl, clockMode }),
+          color,
+          ...(ratingRange && { ratingRange: Number(ratingRange) })
+        })
+      })
+      if (!result.ok) {
+        setError('The seek could not be posted.')
+        return
+      }
+      const json = await result.json()
+      if (json.game) {
+        goToGame(json.game)
+      } else {
+        setOwnSeek(json)
+        setError(undefined)
+      }
+    } catch (e) {
+      setError(e.toString())
+    }
+  }
+
+  const acceptSeek = async (seek) => {
+    try {
+      const result = await fetch(`/api/seeks/${seek.id}/accept`, {
+        method: 'POST',
+        headers
+      })
+      if (result.ok) {
+        goToGame(await result.json())
+      } else {
+        setError('That seek is no longer open.')
+      }
+    } catch (e) {
+      setError(e.toString())
+    }
+  }
+
+  const isOwnSeek = (seek) => (
+    (ownSeek && ownSeek.seek.id === seek.id) ||
+    (user && seek.player && seek.player.id === user.id)
+  )
+
+  return (
+    <div className='page' style={{ margin: 'auto', marginTop: '16px' }}>
+      <h1> Lobby </h1>
+      <table style={{ width: '100%', textAlign: 'left' }}>
+        <thead>
+          <tr>
+            <th>Player</th>
+            <th>Rating</th>
+            <th>Game</th>
+            <th>Plays</th>
+          </tr>
+        </thead>
+        <tbody>
+          {seeks && seeks.map((x) => (
+            <tr key={x.id}>
+              <td>{x.player ? x.player.username : 'Anonymous'}</td>
+              <td>{x.rating}</td>
+              <td>
+                {getVariant(x.variant).name} {x.timeControl || 'untimed'}
+              </td>
+              <td>{x.color}</td>
+              <td>
+                {isOwnSeek(x)
+                  ? (ownSeek && ownSeek.seek.id === x.id && (
+                    <button onClick={() => setOwnSeek(undefined)}>
+                      Cancel
+                    </button>
+                    ))
+                  : (
+                    <button onClick={() => acceptSeek(x)}>Play</button>
+                    )}
+              </td>
+            </tr>
+          ))}
+          {seeks && seeks.length === 0 && (
+            <tr><td colSpan={5}>No one is looking for a game yet.</td></tr>
+          )}
+        </tbody>
+      </table>
+      <h2> Find an opponent </h2>
+      {ownSeek
+        ? <p className='notice'>Waiting for an opponent&hellip;</p>
+        : (
+          <p>
+            <select
+              value={variant}
+              onChange={(e) => setVariant(e.target.value)}
+            >
+              {VARIANTS.map(x => (
+                <option key={x} value={x}>{getVariant(x).name}</option>
+              ))}
+            </select>
+            {' '}
+            <select
+              value={timeControl}
+              onChange={(e) => setTimeControl(e.target.value)}
+            >
+              <option value=''>Untimed</option>
+              {TIME_CONTROLS.map(x => (
+                <option key={x} value={x}>{x}</option>
+              ))}
+            </select>
+            {' '}
+            {timeControl && (
+              <>
+                <select
+                  value={clockMode}
+                  onChange={(e) => setClockMode(e.target.value)}
+                >
+                  <option value='increment'>Increment</option>
+                  <option value='delay'>Delay</option>
+                </select>
+                {' '}
+              </>
+            )}
+            <select value={color} onChange={(e) => setColor(e.target.value)}>
+              <option value='random'>Random color</option>
+              <option value='white'>as white</option>
+              <option value='black'>as black</option>
+            </select>
+            {' '}
+            <select
+              value={ratingRange}
+              onChange={(e) => setRatingRange(e.target.value)}
+            >
+              <option value=''>Any rating</option>
+              {RATING_RANGES.map(x => (
+                <option key={x} value={x}>&plusmn;{x}</option>
+              ))}
+            </select>
+            {' '}
+            <button onClick={postSeek}>Seek</button>
+          </p>
+          )}
+      {error && <p className='notice'>{error}</p>}
+      <p>
+        <Link to='/'>Return to Home</Link>
+      </p>
+    </div>
+  )
+}
+
+/*
+ * The public games being played, which anyone can watch. The list is fetched
+ * again every few seconds.
+ */
+function LiveGames () {
+  const [games, setGames] = useState()
+  const [error, setError] = useState()
+
+  useEffect(() => {
+    const update = async () => {
+      try {
+        const result = await fetch('/api/games?status=live')
+        if (result.ok) {
+          setGames(await result.json())
+        }
+      } catch (e) {
+        setError(e.toString())
+      }
+    }
+    update()
+    const interval = setInterval(update, 5000)
+    return () => clearInterval(interval)
+  }, [])
+
+  const getName = (game, color) => {
+    if (game.computer && game.computer.color === color) {
+      return `Computer (level ${game.computer.level})`
+    }
+    const player = game.players[color]
+    return player ? player.username : 'Anonymous'
+  }
+
+  return (
+    <div className='page' style={{ margin: 'auto', marginTop: '16px' }}>
+      <h1> Live games </h1>
+      <table style={{ width: '100%', textAlign: 'left' }}>
+        <thead>
+          <tr>
+            <th>Players</th>
+            <th>Game</th>
+            <th>Moves</th>
+            <th>Watching</th>
+          </tr>
+        </thead>
+        <tbody>
+          {games && games.map((x) => (
+            <tr key={x.id}>
+              <td>
+                <Link to={`/games/${x.id}`}>
+                  {getName(x, 'white')} vs {getName(x, 'black')}
+                </Link>
+              </td>
+              <td>
+                {getVariant(x.variant).name} {x.timeControl || 'untimed'}
+              </td>
+              <td>{Math.ceil(x.moveCount / 2)}</td>
+              <td>{x.spectators}</td>
+            </tr>
+          ))}
+          {games && games.length === 0 && (
+            <tr><td colSpan={4}>No one is playing right now.</td></tr>
+          )}
+        </tbody>
+      </table>
+      {error && <p className='notice'>{error}</p>}
+      <p>
+        <Link to='/'>Return to Home</Link>
+      </p>
+    </div>
+  )
+}
+
 function Homepage () {
   const [games, setGames] = useGames()
+  const { user, session, signOut } = useAccount()
+  const accountGames = useAccountGames(user && session)
   const deleteGame = (game) => {
     setGames(games.filter(x => x !== game))
   }
@@ -598,15 +2647,40 @@ function Homepage () {
   return (
     <div className='page' style={{ margin: 'auto', marginTop: '16px' }}>
       <h1> R3Chess </h1>
+      {user
+        ? (
+          <>
+            <h2> {user.username} </h2>
+            <Stats user={user} />
+            <p>
+              <button onClick={signOut}>Sign out</button>
+            </p>
+          </>
+          )
+        : (
+          <p>
+            <Link to='/login'>Sign in</Link> to keep your games on any device
+            and get a rating.
+          </p>
+          )}
+      <p>
+        Looking for an opponent? Find one in the <Link to='/lobby'>lobby</Link>,
+        or <Link to='/live'>watch the games being played</Link>. To study a
+        position, open the <Link to='/analysis'>analysis board</Link>, or set
+        one up in the <Link to='/editor'>board editor</Link>.
+      </p>
       <h2> My Games </h2>
-      <GamesList games={games} onDelete={deleteGame} />
+      {accountGames
+        ? <AccountGamesList games={accountGames} />
+        : <GamesList games={games} onDelete={deleteGame} />}
       <h2> About </h2>
       <p>
-        Welcome to R3Chess, a simple chess app! To start a game,
-        click <i>New game</i> in the <i>My Games</i> section above. After you
-        start a game, you will see a link to <i>Play as black!</i> in the
-        sidebar, which you can copy and send to your friends! Thanks for
-        playing!
+        Welcome to R3Chess, a simple chess app! To start a game, choose a time
+        control and click <i>New game</i> in the <i>My Games</i> section above.
+        After you start a game, you will see a link to <i>Play as black!</i> in
+        the sidebar, which you can copy and send to your friends! To play both
+        sides on one device, choose <i>Local</i>, or choose <i>vs computer</i>
+        to play alone. Thanks for playing!
       </p>
       <p>
         Note: Games are only saved for 14 days. After 14 days, your game will be
@@ -633,6 +2707,25 @@ function App () {
         <Route path='/games'>
           <CreateGame />
         </Route>
+        <Route path='/login'>
+          <Login />
+        </Route>
+        <Route path='/lobby'>
+          <Lobby />
+        </Route>
+        <Route path='/editor'>
+          <Suspense fallback={<Dialog><p>Loading...</p></Dialog>}>
+            <Editor />
+          </Suspense>
+        </Route>
+        <Route path='/analysis'>
+          <Suspense fallback={<Dialog><p>Loading...</p></Dialog>}>
+            <Analysis />
+          </Suspense>
+        </Route>
+        <Route path='/live'>
+          <LiveGames />
+        </Route>
         <Route path='/'>
           <Homepage />
         </Route>
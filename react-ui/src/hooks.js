@@ -2,13 +2,26 @@
  * Reusable react hooks.
  */
 
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
 
 import {
   useParams,
-  useLocation
+  useLocation,
+  useHistory
 } from 'react-router-dom'
 
+import {
+  makeMove,
+  coordToSquare,
+  pressClock,
+  getClockTimes,
+  getFlagTime,
+  isClockRunning,
+  getTurn,
+  getLastMove,
+  movesEqual
+} from 'chess-api'
+
 const fetch = window.fetch
 
 export function useQuery () {
@@ -17,28 +30,368 @@ export function useQuery () {
 
 /*
  * Returns the current value, and a setter for the current value of the players
- * games.
+ * games. Each game is stored as { id, color, tokens, date }, where tokens holds
+ * the secret seat tokens the player has for each color.
  */
 export function useGames () {
   const [games, setGames] = useState(() => (
     JSON.parse(window.localStorage.getItem('games') || '[]')
   ))
-  return [
-    games,
-    (x) => {
-      window.localStorage.setItem('games', JSON.stringify(x))
-      setGames(x)
+  /* Like a state setter, the new value can be a function of the old value. */
+  const updateGames = useCallback((x) => {
+    setGames((games) => {
+      const newGames = typeof x === 'function' ? x(games) : x
+      window.localStorage.setItem('games', JSON.stringify(newGames))
+      return newGames
+    })
+  }, [setGames])
+  return [games, updateGames]
+}
+
+/*
+ * Returns the current value, and a setter for the current value of the
+ * player's session token, which is undefined while signed out.
+ */
+export function useSession () {
+  const [session, setSession] = useState(() => (
+    window.localStorage.getItem('session') || undefined
+  ))
+  const updateSession = useCallback((session) => {
+    if (session) {
+      window.localStorage.setItem('session', session)
+    } else {
+      window.localStorage.removeItem('session')
+    }
+    setSession(session)
+  }, [setSession])
+  return [session, updateSession]
+}
+
+/*
+ * Returns a random ID for this browser, made the first time it is needed, so
+ * the server can tell which anonymous seeks come from the same player.
+ */
+export function useSeeker () {
+  const [seeker] = useState(() => {
+    let seeker = window.localStorage.getItem('seeker')
+    if (!seeker) {
+      const bytes = window.crypto.getRandomValues(new Uint8Array(16))
+      seeker = Array.from(bytes, x => x.toString(16).padStart(2, '0')).join('')
+      window.localStorage.setItem('seeker', seeker)
+    }
+    return seeker
+  })
+  return seeker
+}
+
+/*
+ * Returns an object with the signed in account, or undefined while signed out
+ * or loading, the session token, a function signIn ({ session, user }) to
+ * start the session the server responds with when signing in, and a function
+ * to sign out.
+ */
+export function useAccount () {
+  const [session, setSession] = useSession()
+  const [user, setUser] = useState()
+
+  useEffect(() => {
+    if (!session) {
+      setUser(undefined)
+      return
+    }
+    let isCancelled = false
+    const load = async () => {
+      try {
+        const result = await fetch('/api/me', {
+          headers: { 'X-Session': session }
+        })
+        if (isCancelled) {
+          return
+        } else if (result.status === 401) {
+          /* The session has expired. */
+          setSession(undefined)
+        } else if (result.ok) {
+          setUser(await result.json())
+        }
+      } catch (e) {
+        console.error(e)
+      }
+    }
+    load()
+    return () => {
+      isCancelled = true
+    }
+  }, [session, setSession])
+
+  const signIn = useCallback(({ session, user }) => {
+    setSession(session)
+    setUser(user)
+  }, [setSession])
+
+  const signOut = useCallback(async () => {
+    try {
+      await fetch('/api/sessions', {
+        method: 'DELETE',
+        headers: { 'X-Session': session }
+      })
+    } finally {
+      setSession(undefined)
+    }
+  }, [session, setSession])
+
+  return { user, session, signIn, signOut }
+}
+
+/*
+ * Returns the games of the signed in account from the server, or undefined
+ * while loading. The seat tokens of the games are saved along with the games
+ * on this device, so games started elsewhere can be played here too.
+ */
+export function useAccountGames (session) {
+  const [accountGames, setAccountGames] = useState()
+  const [, setGames] = useGames()
+
+  useEffect(() => {
+    if (!session) {
+      setAccountGames(undefined)
+      return
     }
-  ]
+    let isCancelled = false
+    const load = async () => {
+      try {
+        const result = await fetch('/api/me/games', {
+          headers: { 'X-Session': session }
+        })
+        if (!result.ok || isCancelled) {
+          return
+        }
+        const accountGames = await result.json()
+        setAccountGames(accountGames)
+        setGames((games) => [
+          ...games.filter(x => !accountGames.some(y => y.id === x.id)),
+          ...accountGames.map(({ id, color, tokens, date }) => {
+            const entry = games.find(x => x.id === id)
+            return {
+              id,
+              color,
+              date,
+              ...entry,
+              tokens: { ...(entry && entry.tokens), ...tokens }
+            }
+          })
+        ])
+      } catch (e) {
+        console.error(e)
+      }
+    }
+    load()
+    return () => {
+      isCancelled = true
+    }
+  }, [session, setGames])
+
+  return accountGames
 }
 
+/* The longest time to wait before reconnecting to the event stream. */
+const MAX_RECONNECT_DELAY = 30000
+
+/* The number of times to reconnect before falling back to polling for good. */
+const MAX_RECONNECTS = 10
+
+/*
+ * Subscribes to the server-sent events from the given URL. handlers has a
+ * function for each name of event to listen to, which is called with the data
+ * of each event with that name. If the connection fails, it is retried with
+ * exponential backoff. Nothing is subscribed to without a URL. Returns true
+ * while connected.
+ */
+export function useEvents (url, handlers) {
+  const [isConnected, setConnected] = useState(false)
+
+  useEffect(() => {
+    let source
+    let timeout
+    let reconnects = 0
+
+    const connect = () => {
+      source = new window.EventSource(url)
+      source.onopen = () => {
+        reconnects = 0
+        setConnected(true)
+      }
+      Object.entries(handlers).forEach(([name, onData]) => {
+        source.addEventListener(name, (event) => {
+          onData(JSON.parse(event.data))
+        })
+      })
+      source.onerror = () => {
+        source.close()
+        setConnected(false)
+        if (reconnects < MAX_RECONNECTS) {
+          const delay = Math.min(1000 * 2 ** reconnects, MAX_RECONNECT_DELAY)
+          timeout = setTimeout(connect, delay)
+          reconnects++
+        }
+      }
+    }
+
+    if (url && window.EventSource) {
+      connect()
+    }
+    return () => {
+      clearTimeout(timeout)
+      setConnected(false)
+      if (source) {
+        source.close()
+      }
+    }
+  }, [url, handlers])
+
+  return isConnected
+}
+
+/*
+ * Subscribes to the updates the server pushes for the game with the given ID,
+ * such as each new game, the number of spectators, and chat messages, calling
+ * the handler for each, as with useEvents. Players pass one of their seat
+ * tokens, while spectators pass none and are counted as watching. Returns true
+ * while connected.
+ */
+export function useGameEvents (id, token, handlers) {
+  const query = token ? `?token=${token}` : ''
+  return useEvents(`/api/games/${id}/events${query}`, handlers)
+}
+
+/*
+ * Returns the open seeks in the lobby, kept up to date by the server, or
+ * undefined while loading. While the server can't push updates, the seeks are
+ * polled instead.
+ */
+export function useSeeks () {
+  const [seeks, setSeeks] = useState()
+  const handlers = useMemo(() => ({ seeks: setSeeks }), [setSeeks])
+  const isConnected = useEvents('/api/seeks/events', handlers)
+
+  useEffect(() => {
+    if (isConnected) {
+      return
+    }
+    const update = async () => {
+      try {
+        const result = await fetch('/api/seeks')
+        if (result.ok) {
+          setSeeks(await result.json())
+        }
+      } catch (e) {
+        console.error(e)
+      }
+    }
+    update()
+    const interval = setInterval(update, 2000)
+    return () => clearInterval(interval)
+  }, [isConnected])
+
+  return seeks
+}
+
+/*
+ * Returns the time each side has left in the game as { white, black }, kept up
+ * to date while a clock is running. clockOffset is how far the server's clock
+ * is ahead of ours.
+ */
+export function useClockTimes (game, clockOffset) {
+  const getTimes = useCallback(() => (
+    game && game.clock && getClockTimes(game, Date.now() + clockOffset)
+  ), [game, clockOffset])
+  const [times, setTimes] = useState(getTimes)
+
+  useEffect(() => {
+    setTimes(getTimes())
+    if (game && isClockRunning(game)) {
+      const interval = setInterval(() => setTimes(getTimes()), 100)
+      return () => clearInterval(interval)
+    }
+  }, [game, getTimes])
+
+  return times
+}
+
+/*
+ * Returns an object with the game for the current route, a function to send a
+ * move, the color the player is viewing, an error if any, the seat tokens the
+ * player has for the game, a function to send other actions such as resigning,
+ * a function to start or join a rematch, how far the server's clock is ahead
+ * of ours, whether the player is only watching the game, the number of people
+ * watching it, the chat messages the player can see, and a function to send a
+ * chat message.
+ *
+ * Anyone without a seat token for the game is a spectator, who can watch but
+ * not play.
+ *
+ * A seat token in the query string (from an invite link) is saved with the
+ * game, and then removed from the URL so it isn't shared by accident.
+ */
 export function useGame () {
   const { id } = useParams()
   const query = useQuery()
-  const color = query.get('color')
+  const history = useHistory()
   const [game, setGame] = useState()
   const [games, setGames] = useGames()
+  const [session] = useSession()
   const [error, setError] = useState()
+  const [clockOffset, setClockOffset] = useState(0)
+  const [spectators, setSpectators] = useState(0)
+  const [messages, setMessages] = useState([])
+
+  /* The moveCount of the game after the move being sent, if any. */
+  const pendingMove = useRef()
+
+  const entry = games.find(x => x.id === id)
+  const color = query.get('color') || (entry && entry.color)
+  const queryToken = query.get('token')
+  const tokens = useMemo(() => ({
+    ...(entry && entry.tokens),
+    ...(queryToken && { [color]: queryToken })
+  }), [entry, color, queryToken])
+  const isSpectator = Object.keys(tokens).length === 0
+
+  /* Players follow the game with one of their seat tokens. */
+  const streamToken = tokens[color] || Object.values(tokens)[0]
+
+  /* Forget the previous game when switching to another one. */
+  useEffect(() => {
+    setGame(undefined)
+    setMessages([])
+  }, [id])
+
+  /*
+   * Returns a game sent by the server without the server's time, which is used
+   * to work out how far the server's clock is ahead of ours.
+   */
+  const fromServer = useCallback(({ serverTime, ...game }) => {
+    if (serverTime) {
+      setClockOffset(serverTime - Date.now())
+    }
+    return game
+  }, [setClockOffset])
+
+  /*
+   * Replaces the game with one from the server, unless the game is the same, or
+   * the server hasn't received the move being sent yet. Otherwise the server's
+   * game can be behind ours, such as after a takeback.
+   */
+  const receiveGame = useCallback((data) => {
+    const newGame = fromServer(data)
+    setGame((game) => (
+      !game || (
+        !(newGame.moveCount < pendingMove.current) &&
+        JSON.stringify(newGame) !== JSON.stringify(game)
+      )
+        ? newGame
+        : game
+    ))
+  }, [setGame, fromServer])
 
   const update = useCallback(async () => {
     try {
@@ -53,57 +406,322 @@ export function useGame () {
       if (result.status === 404) {
         setError('404 not found.')
       } else {
-        const newGame = await result.json()
-        /* Update if a piece was moved, or the game has not been loaded yet. */
-        if (!game || newGame.moveCount > game.moveCount) {
-          setGame(newGame)
-        }
+        receiveGame(await result.json())
       }
     } catch (e) {
       setError(e.toString())
     }
-  }, [game, setGame, id])
+  }, [receiveGame, id])
 
   useEffect(() => {
     update()
   }, [update])
 
+  const updateMessages = useCallback(async () => {
+    try {
+      const result = await fetch(`/api/games/${id}/messages`, {
+        headers: {
+          ...(streamToken && { Authorization: `Bearer ${streamToken}` })
+        }
+      })
+      if (result.ok) {
+        setMessages(await result.json())
+      }
+    } catch (e) {
+      setError(e.toString())
+    }
+  }, [id, streamToken])
+
+  const handlers = useMemo(() => ({
+    game: receiveGame,
+    spectators: setSpectators,
+    messages: setMessages,
+    message: (message) => setMessages((messages) => [...messages, message])
+  }), [receiveGame])
+
+  /* Only poll for updates while the server can't push them. */
+  const isConnected = useGameEvents(id, streamToken, handlers)
   useEffect(() => {
-    const interval = setInterval(update, 1000)
-    return () => clearInterval(interval)
-  }, [update])
+    if (!isConnected) {
+      const interval = setInterval(() => {
+        update()
+        updateMessages()
+      }, 1000)
+      return () => clearInterval(interval)
+    }
+  }, [isConnected, update, updateMessages])
 
-  const updateGame = (game) => {
+  /*
+   * When the side to move runs out of time, fetch the game so the server ends
+   * it on time.
+   */
+  useEffect(() => {
+    const flagTime = game && getFlagTime(game)
+    if (flagTime) {
+      const delay = Math.max(flagTime - clockOffset - Date.now(), 0) + 500
+      const timeout = setTimeout(update, delay)
+      return () => clearTimeout(timeout)
+    }
+  }, [game, clockOffset, update])
+
+  /* In local games the player plays both sides, so acts as the side to move. */
+  const seat = game && game.local ? getTurn(game) : color
+
+  /*
+   * Sends a POST request for the game, using the seat token for the player's
+   * seat, and the session if signed in. Returns the response.
+   */
+  const post = useCallback((path, body) => (
+    fetch(
+      `/api/games/${id}${path}`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${tokens[seat]}`,
+          ...(session && { 'X-Session': session })
+        },
+        body: JSON.stringify(body)
+      }
+    )
+  ), [id, tokens, seat, session])
+
+  /*
+   * Links the player's seat to their account if it isn't linked yet, such as
+   * after following an invite link while signed in.
+   */
+  const joined = useRef()
+  const isSeatTaken = !game || !!(game.players && game.players[color])
+  useEffect(() => {
+    const key = `${id}:${color}`
+    if (
+      session &&
+      !isSeatTaken &&
+      !game.local &&
+      tokens[color] &&
+      joined.current !== key
+    ) {
+      joined.current = key
+      const join = async () => {
+        try {
+          const result = await post('/join', {})
+          if (result.ok) {
+            receiveGame(await result.json())
+          }
+        } catch (e) {
+          setError(e.toString())
+        }
+      }
+      join()
+    }
+  }, [session, isSeatTaken, game, tokens, color, id, post, receiveGame, setError])
+
+  /*
+   * Sends a move to the server. The move is shown straight away, and replaced
+   * by the server's game once it replies.
+   */
+  const sendMove = (move) => {
+    const newGame = makeMove(game, move)
+    if (newGame) {
+      setGame(pressClock(newGame, Date.now() + clockOffset))
+      pendingMove.current = newGame.moveCount
+    }
     (async () => {
-      const result = await fetch(
-        `/api/games/${id}`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            game
-          })
+      try {
+        const result = await post('', {
+          from: coordToSquare(move.from),
+          to: coordToSquare(move.to),
+          promotion: move.promotion
+        })
+        if (result.ok) {
+          setGame(fromServer(await result.json()))
+        } else {
+          /* The move was rejected, so go back to the server's game. */
+          const serverGame = await fetch(`/api/games/${id}`)
+          setGame(fromServer(await serverGame.json()))
         }
-      )
-      const newGame = await result.json()
-      setGame(newGame)
+      } catch (e) {
+        setError(e.toString())
+      } finally {
+        pendingMove.current = undefined
+      }
     })()
   }
 
+  /*
+   * Sends an action other than a move to the server, i.e. 'resign',
+   * 'offer-draw', 'accept-draw', 'decline-draw', 'claim-draw',
+   * 'request-takeback', 'accept-takeback', 'decline-takeback' or 'mute', with
+   * the given body.
+   */
+  const sendAction = async (action, body = {}) => {
+    try {
+      const result = await post(`/${action}`, body)
+      if (result.ok) {
+        receiveGame(await result.json())
+      }
+    } catch (e) {
+      setError(e.toString())
+    }
+  }
+
+  /*
+   * Starts a rematch with the colors swapped, or joins it if the opponent
+   * started it first, and then goes to the new game.
+   */
+  const requestRematch = async () => {
+    try {
+      const result = await post('/rematch', {})
+      if (result.ok) {
+        const rematch = await result.json()
+        const rematchColor = color === 'white' ? 'black' : 'white'
+        setGames((games) => [
+          ...games,
+          {
+            id: rematch.id,
+            color: rematchColor,
+            tokens: { white: tokens.black, black: tokens.white },
+            date: Date.now()
+          }
+        ])
+        history.push(`/games/${rematch.id}?color=${rematchColor}`)
+      }
+    } catch (e) {
+      setError(e.toString())
+    }
+  }
+
+  /*
+   * Sends a chat message, signed with the player's seat token and session.
+   * Returns the HTTP status code of the response, so a message which was sent
+   * too soon after the last can be tried again.
+   */
+  const sendMessage = async (text) => {
+    try {
+      const result = await fetch(`/api/games/${id}/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(streamToken && { Authorization: `Bearer ${streamToken}` }),
+          ...(session && { 'X-Session': session })
+        },
+        body: JSON.stringify({ text })
+      })
+      return result.status
+    } catch (e) {
+      setError(e.toString())
+    }
+  }
+
+  /* Remember the games the player has a seat in, but not ones they watch. */
   useEffect(() => {
-    if (game && !games.find(x => x.id === id)) {
-      setGames([
-        ...games,
-        {
-          id,
-          color,
-          date: Date.now()
-        }
-      ])
+    if (game && !isSpectator) {
+      const hasToken = !queryToken || (
+        entry && entry.tokens && entry.tokens[color] === queryToken
+      )
+      if (!entry || !hasToken) {
+        setGames([
+          ...games.filter(x => x !== entry),
+          {
+            date: Date.now(),
+            ...entry,
+            id,
+            color,
+            tokens
+          }
+        ])
+      } else if (queryToken) {
+        history.replace(`/games/${id}?color=${color}`)
+      }
     }
-  }, [game, games, setGames, id, color])
+  }, [
+    game,
+    games,
+    setGames,
+    entry,
+    id,
+    color,
+    tokens,
+    queryToken,
+    history,
+    isSpectator
+  ])
 
-  return [game, updateGame, color, error]
+  return {
+    game,
+    sendMove,
+    color,
+    error,
+    tokens,
+    sendAction,
+    requestRematch,
+    clockOffset,
+    isSpectator,
+    spectators,
+    messages,
+    sendMessage
+  }
+}
+
+/* Returns an analysis tree holding only the given starting position. */
+function makeTree (game) {
+  return {
+    nodes: [{ id: 0, game, children: [] }],
+    current: 0
+  }
+}
+
+/*
+ * Returns an object with the tree of moves explored from the given starting
+ * game, the current node of the tree, a function to make a move from the
+ * current node, and a function to go to another node by its id. Moves can be
+ * made for either side, and there is no server involved.
+ *
+ * Each node is of the form { id, parent, game, move, children }, where game is
+ * the position after move, and children are the ids of the moves explored from
+ * the position. The first child continues the main line, and the others are
+ * variations. Making a move which was already explored goes to its node.
+ */
+export function useAnalysis (initialGame) {
+  const [tree, setTree] = useState(() => makeTree(initialGame))
+
+  /* Start over when setting up another position. */
+  useEffect(() => {
+    setTree(makeTree(initialGame))
+  }, [initialGame])
+
+  const playMove = useCallback((move) => {
+    setTree(({ nodes, current }) => {
+      const node = nodes[current]
+      const explored = node.children.find(x => movesEqual(nodes[x].move, move))
+      if (explored !== undefined) {
+        return { nodes, current: explored }
+      }
+      const game = makeMove(node.game, move)
+      if (!game) {
+        return { nodes, current }
+      }
+      const id = nodes.length
+      return {
+        nodes: [
+          ...nodes.map(x => (
+            x.id === current ? { ...x, children: [...x.children, id] } : x
+          )),
+          { id, parent: current, game, move: getLastMove(game), children: [] }
+        ],
+        current: id
+      }
+    })
+  }, [])
+
+  const select = useCallback((id) => {
+    setTree((tree) => tree.nodes[id] ? { ...tree, current: id } : tree)
+  }, [])
+
+  return {
+    nodes: tree.nodes,
+    current: tree.nodes[tree.current],
+    playMove,
+    select
+  }
 }
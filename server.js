@@ -1,9 +1,47 @@
 import path from 'path'
+import crypto from 'crypto'
+import { Worker } from 'worker_threads'
 import express from 'express'
 import redis from 'redis'
 import rateLimiter from 'express-rate-limit'
-import { v4 as uuidv4 } from 'uuid'
-import { makeGame, isValidMove } from 'chess-api'
+import { v4 as uuidv4, v5 as uuidv5 } from 'uuid'
+import {
+  makeGame,
+  makeMove,
+  parseMove,
+  getTurn,
+  getGameResult,
+  resign,
+  offerDraw,
+  acceptDraw,
+  declineDraw,
+  claimDraw,
+  toPGN,
+  toPGNDate,
+  parseTimeControl,
+  makeClock,
+  pressClock,
+  checkFlag,
+  getFlagTime,
+  restartClock,
+  CLOCK_MODES,
+  undoMoves,
+  requestTakeback,
+  acceptTakeback,
+  declineTakeback,
+  toFEN,
+  fromFEN,
+  getPositionError,
+  getInitialGame,
+  ENGINE_LEVELS,
+  VARIANTS,
+  makeRating,
+  updateRating,
+  getScore,
+  formatTimeControl,
+  getOpponent
+} from 'chess-api'
+import { loadMailer } from './mailer.js'
 
 import { fileURLToPath } from 'url'
 const __filename = fileURLToPath(import.meta.url)
@@ -12,27 +50,472 @@ const __dirname = path.dirname(__filename)
 const app = express()
 const port = process.env.PORT || 5000
 
+/*
+ * The address the app is served from, used for links sent by email. It is
+ * configured rather than taken from the request, whose Host header anyone can
+ * forge.
+ */
+const baseUrl = (process.env.BASE_URL || `http://localhost:${port}`)
+  .replace(/\/+$/, '')
+
 const client = redis.createClient(process.env.REDIS_URL)
 client.on('error', (error) => {
   console.error(error)
 })
 
+/*
+ * Updates are published on channels such as games:<id> for each game, so every
+ * server process can push them to the clients connected to it.
+ */
+const subscriber = client.duplicate()
+subscriber.on('error', (error) => {
+  console.error(error)
+})
+
+/*
+ * Emails are sent with the mailer named by the MAILER environment variable.
+ * Without one, players can't sign in by email.
+ */
+let mailer
+loadMailer(process.env.MAILER, (error, loaded) => {
+  if (error) {
+    console.error(error)
+  } else {
+    mailer = loaded
+  }
+})
+
+/* The callbacks listening on this process, by channel. */
+const listeners = new Map()
+
+subscriber.on('message', (channel, message) => {
+  const callbacks = listeners.get(channel)
+  if (callbacks) {
+    callbacks.forEach(callback => callback(message))
+  }
+})
+
+/**
+ * Calls onMessage with each message published on the given channel, which
+ * this process is subscribed to while anyone is listening. Returns a function
+ * to stop listening.
+ */
+function listen (channel, onMessage) {
+  if (!listeners.has(channel)) {
+    listeners.set(channel, new Set())
+    subscriber.subscribe(channel)
+  }
+  listeners.get(channel).add(onMessage)
+  return () => {
+    const callbacks = listeners.get(channel)
+    callbacks.delete(onMessage)
+    if (callbacks.size === 0) {
+      listeners.delete(channel)
+      subscriber.unsubscribe(channel)
+    }
+  }
+}
+
+/**
+ * Starts responding to the request with a stream of server-sent events, which
+ * stays open until the client disconnects.
+ */
+function startEventStream (req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  })
+  res.flushHeaders()
+
+  /* Keep the connection from being closed by proxies for being idle. */
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 20000)
+  req.on('close', () => clearInterval(heartbeat))
+}
+
+/** Writes a server-sent event with the given name and data to res. */
+function sendEvent (res, event, data) {
+  res.write(`event: ${event}\ndata: ${data}\n\n`)
+}
+
+/*
+ * Games are sent to clients along with the server's current time, so they can
+ * run the clocks in step with the server.
+ */
+function withServerTime (game) {
+  return { ...game, serverTime: Date.now() }
+}
+
 const api = express.Router()
 
 api.use(express.json())
 
+/** Returns the PGN for the given game, tagged with where it was played. */
+function getPGN (req, game) {
+  const tags = {
+    Event: 'R3Chess game',
+    Site: `${req.protocol}://${req.get('host')}/games/${game.id}`
+  }
+  if (game.createdAt) {
+    tags.Date = toPGNDate(game.createdAt)
+  }
+  if (game.clock) {
+    tags.TimeControl = `${game.clock.initial / 1000}+${game.clock.increment / 1000}`
+  }
+  return toPGN(game, tags)
+}
+
+/**
+ * Gets the game with the given ID, first ending it on time if the side to move
+ * has run out of time. respond is called with an HTTP status code, and the game
+ * on success.
+ *
+ * If the computer should be moving but isn't, such as after the server
+ * restarted, it starts thinking again.
+ */
+function getGame (id, respond) {
+  client.get(`games:${id}`, (error, result) => {
+    if (error) {
+      respond(500)
+    } else if (!result) {
+      respond(404)
+    } else {
+      const game = JSON.parse(result)
+      if (checkFlag(game, Date.now()) === game) {
+        playComputerMove(game)
+        respond(200, game)
+      } else {
+        updateGame(id, (game) => checkFlag(game, Date.now()), respond)
+      }
+    }
+  })
+}
+
 api.get('/games/:game', (req, res) => {
-  const id = req.params.game
-  client.get(`games:${id}`, (error, game) => {
+  getGame(req.params.game, (status, game) => {
+    if (!game) {
+      res.status(status).end()
+    } else if (req.query.format === 'pgn') {
+      res.type('application/x-chess-pgn').send(getPGN(req, game))
+    } else {
+      res.json(withServerTime(game))
+    }
+  })
+})
+
+/*
+ * The people watching each game are stored in the sorted set
+ * games:<id>:spectators, with the time each of their connections was last seen
+ * alive, so connections to a server process which stopped are soon forgotten.
+ * The number of spectators is published on the channel of the same name
+ * whenever someone starts or stops watching.
+ */
+const SPECTATOR_TIMEOUT = 60 * 1000
+
+/*
+ * Gets the number of people watching the game with the given ID. callback is
+ * called with an error, or the number on success.
+ */
+function getSpectatorCount (id, callback) {
+  const key = `games:${id}:spectators`
+  client.multi()
+    .zremrangebyscore(key, '-inf', Date.now() - SPECTATOR_TIMEOUT)
+    .zcard(key)
+    .exec((error, results) => callback(error, results && results[1]))
+}
+
+/* Publishes the number of people watching the game with the given ID. */
+function publishSpectators (id) {
+  getSpectatorCount(id, (error, count) => {
     if (!error) {
-      if (game) {
-        res.json(JSON.parse(game))
+      client.publish(`games:${id}:spectators`, String(count))
+    }
+  })
+}
+
+/*
+ * Keeps track of a spectator watching the game with the given ID until the
+ * request closes.
+ */
+function addSpectator (req, id) {
+  const key = `games:${id}:spectators`
+  const connection = uuidv4()
+  const seen = () => client.multi()
+    .zadd(key, Date.now(), connection)
+    .expire(key, GAME_EXPIRY)
+  seen().exec(() => publishSpectators(id))
+  const interval = setInterval(() => seen().exec(), SPECTATOR_TIMEOUT / 3)
+  req.on('close', () => {
+    clearInterval(interval)
+    client.zrem(key, connection, () => publishSpectators(id))
+  })
+}
+
+/*
+ * Streams updates to the game as server-sent events. The current game is sent
+ * straight away, followed by an event every time it changes. The number of
+ * spectators is sent as a spectators event whenever it changes.
+ *
+ * The chat messages the client can see are sent as a messages event, followed
+ * by a message event for each new message. Players pass their seat token as
+ * the token query parameter, since event streams can't send headers, and see
+ * the players' chat. Anyone else is a spectator, who is counted as watching,
+ * and sees the spectators' chat.
+ */
+api.get('/games/:id/events', (req, res) => {
+  const id = req.params.id
+  getGame(id, (status, game) => {
+    if (!game) {
+      res.status(status).end()
+      return
+    }
+    getSeatForToken(req.query.token, id, (status, seat) => {
+      if (status === 500) {
+        res.status(status).end()
+        return
+      }
+      const room = seat ? 'players' : 'spectators'
+      let mutes = game.mutes || {}
+      startEventStream(req, res)
+      sendEvent(res, 'game', JSON.stringify(withServerTime(game)))
+      req.on('close', listen(`games:${id}`, (message) => {
+        const newGame = JSON.parse(message)
+        mutes = newGame.mutes || {}
+        sendEvent(res, 'game', JSON.stringify(withServerTime(newGame)))
+      }))
+      req.on('close', listen(`games:${id}:spectators`, (message) => {
+        sendEvent(res, 'spectators', message)
+      }))
+      if (seat) {
+        getSpectatorCount(id, (error, count) => {
+          if (!error) {
+            sendEvent(res, 'spectators', String(count))
+          }
+        })
       } else {
-        res.status(404).end()
+        addSpectator(req, id)
       }
+
+      getMessages(id, room, (status, messages) => {
+        if (messages) {
+          const visible = messages.filter(x => !isMuted(mutes, seat, x))
+          sendEvent(res, 'messages', JSON.stringify(visible))
+        }
+      })
+      req.on('close', listen(`games:${id}:messages:${room}`, (message) => {
+        if (!isMuted(mutes, seat, JSON.parse(message))) {
+          sendEvent(res, 'message', message)
+        }
+      }))
+    })
+  })
+})
+
+/*
+ * Chat.
+ *
+ * Each game has two chat rooms, one for the players and one for spectators,
+ * stored as lists of messages in games:<id>:messages:<room>, which expire
+ * along with the game. Each message is of the form
+ * { id, author, text, createdAt }, where author is { color, username } for a
+ * player, or { username } for a spectator, with the username left out for
+ * players without an account. New messages are published on the channel of
+ * the same name as their list.
+ *
+ * Each player can mute their opponent, which hides the opponent's messages
+ * from them. The colors which have muted their opponent are stored in the game
+ * as game.mutes.
+ */
+
+/* The most messages kept in each room, and the longest message. */
+const MAX_MESSAGES = 200
+const MAX_MESSAGE_LENGTH = 280
+
+const chatLimiter = rateLimiter({
+  windowMs: 10 * 1000, /* Limit chat messages to 5 every 10 seconds. */
+  max: 5
+})
+
+/*
+ * Returns true if the player in the given seat has muted the author of the
+ * message.
+ */
+function isMuted (mutes, seat, message) {
+  return !!(mutes[seat] && message.author.color && message.author.color !== seat)
+}
+
+/*
+ * Gets the messages in a game's chat room. respond is called with an HTTP
+ * status code, and the messages on success.
+ */
+function getMessages (id, room, respond) {
+  client.lrange(`games:${id}:messages:${room}`, 0, -1, (error, messages) => {
+    if (error) {
+      respond(500)
     } else {
+      respond(200, messages.map(x => JSON.parse(x)))
+    }
+  })
+}
+
+/*
+ * Adds a message to a game's chat room, and publishes it. respond is called
+ * with an HTTP status code.
+ */
+function addMessage (id, room, message, respond) {
+  client.ttl(`games:${id}`, (error, ttl) => {
+    if (error) {
+      respond(500)
+      return
+    } else if (ttl === -2) {
+      respond(404)
+      return
+    }
+    const key = `games:${id}:messages:${room}`
+    const value = JSON.stringify(message)
+    const multi = client.multi()
+      .rpush(key, value)
+      .ltrim(key, -MAX_MESSAGES, -1)
+    if (ttl > 0) {
+      multi.expire(key, ttl)
+    }
+    multi.exec((error) => {
+      if (error) {
+        respond(500)
+      } else {
+        client.publish(key, value)
+        respond(200)
+      }
+    })
+  })
+}
+
+/*
+ * Responds with the chat messages the request can see, as with the event
+ * stream. Players send their seat token in the Authorization header.
+ */
+api.get('/games/:id/messages', (req, res) => {
+  const id = req.params.id
+  const hasToken = !!req.get('Authorization')
+  getGame(id, (status, game) => {
+    if (!game) {
+      res.status(status).end()
+      return
+    }
+    getSeat(req, id, (status, seat) => {
+      if (hasToken && !seat) {
+        res.status(status).end()
+        return
+      }
+      const mutes = game.mutes || {}
+      getMessages(id, seat ? 'players' : 'spectators', (status, messages) => {
+        if (messages) {
+          res.json(messages.filter(x => !isMuted(mutes, seat, x)))
+        } else {
+          res.status(status).end()
+        }
+      })
+    })
+  })
+})
+
+/*
+ * Sends a chat message, of the form { text }. Players send their seat token in
+ * the Authorization header, and their message goes to the players' chat.
+ * Anyone else's message goes to the spectators' chat. Messages are signed with
+ * the username of the request's session, if any.
+ */
+api.post('/games/:id/messages', chatLimiter, (req, res) => {
+  const id = req.params.id
+  const text = typeof req.body.text === 'string' && req.body.text.trim()
+  if (!text || text.length > MAX_MESSAGE_LENGTH) {
+    res.status(400).end()
+    return
+  }
+  const hasToken = !!req.get('Authorization')
+  getSeat(req, id, (status, seat) => {
+    if (hasToken && !seat) {
+      res.status(status).end()
+      return
+    }
+    getSessionUser(req, (status, user) => {
+      if (status !== 200) {
+        res.status(status).end()
+        return
+      }
+      const message = {
+        id: uuidv4(),
+        author: {
+          ...(seat && seat !== 'any' && { color: seat }),
+          ...(user && { username: user.username })
+        },
+        text,
+        createdAt: Date.now()
+      }
+      addMessage(id, seat ? 'players' : 'spectators', message, (status) => {
+        if (status === 200) {
+          res.json(message)
+        } else {
+          res.status(status).end()
+        }
+      })
+    })
+  })
+})
+
+/* The most live games to list. */
+const LIVE_GAMES_LIMIT = 50
+
+/*
+ * Responds with the public games still being played, newest first, when the
+ * status query parameter is 'live'. Each game is of the form
+ * { id, players, variant, timeControl, computer, moveCount, createdAt,
+ * spectators }. Public games are kept in the sorted set games:live by when
+ * they were created, until they finish.
+ */
+api.get('/games', (req, res) => {
+  if (req.query.status !== 'live') {
+    res.status(400).end()
+    return
+  }
+  client.zrevrange('games:live', 0, LIVE_GAMES_LIMIT - 1, (error, ids) => {
+    if (error) {
       res.status(500).end()
+      return
+    } else if (ids.length === 0) {
+      res.json([])
+      return
     }
+    const since = Date.now() - SPECTATOR_TIMEOUT
+    const multi = client.multi().mget(ids.map(id => `games:${id}`))
+    ids.forEach(id => multi.zcount(`games:${id}:spectators`, since, '+inf'))
+    multi.exec((error, results) => {
+      if (error) {
+        res.status(500).end()
+        return
+      }
+      const [games, ...spectators] = results
+      const live = ids.flatMap((id, i) => {
+        const game = games[i] && JSON.parse(games[i])
+        return game && !getGameResult(game)
+          ? [{ game, spectators: spectators[i] }]
+          : []
+      })
+      const over = ids.filter(id => !live.some(x => x.game.id === id))
+      if (over.length > 0) {
+        client.zrem('games:live', over)
+      }
+      res.json(live.map(({ game, spectators }) => ({
+        id: game.id,
+        players: game.players || {},
+        ...(game.variant && { variant: game.variant }),
+        ...(game.clock && { timeControl: formatTimeControl(game.clock) }),
+        ...(game.computer && { computer: game.computer }),
+        moveCount: game.moveCount,
+        createdAt: game.createdAt,
+        spectators
+      })))
+    })
   })
 })
 
@@ -41,41 +524,1442 @@ const createGameLimiter = rateLimiter({
   max: 50
 })
 
+const GAME_EXPIRY = 14 * 24 * 60 * 60 /* Expire games after two weeks. */
+
+/*
+ * Stores a new game along with its seat tokens, and adds it to the game lists
+ * of its players. If a game with the same ID already exists, as when both
+ * players ask for a rematch, it is left as it is. respond is called with an
+ * HTTP status code.
+ */
+function createGame (game, tokens, respond) {
+  const key = `games:${game.id}`
+  client.set(key, JSON.stringify(game), 'EX', GAME_EXPIRY, 'NX', (error, set) => {
+    if (error || !set) {
+      respond(error ? 500 : 200)
+      return
+    }
+    const multi = client.multi()
+      .hmset(`${key}:tokens`, tokens)
+      .expire(`${key}:tokens`, GAME_EXPIRY)
+    Object.values(game.players || {}).forEach(player => {
+      multi.zadd(`users:${player.id}:games`, game.createdAt, game.id)
+    })
+    if (game.public) {
+      multi.zadd('games:live', game.createdAt, game.id)
+    }
+    multi.exec((error) => {
+      if (!error) {
+        playComputerMove(game)
+      }
+      respond(error ? 500 : 200)
+    })
+  })
+}
+
+/*
+ * Parses the computer opponent requested when creating a game, of the form
+ * { opponent, level, color } where opponent is 'computer', level is from 1 to
+ * the number of ENGINE_LEVELS, and color is the color of the player. Returns
+ * the computer's settings as { level, color }, or undefined if invalid.
+ */
+function parseComputer ({ level = 1, color = 'white' }) {
+  if (
+    Number.isInteger(level) &&
+    level >= 1 &&
+    level <= ENGINE_LEVELS.length &&
+    ['white', 'black'].includes(color)
+  ) {
+    return { level, color: getOpponent(color) }
+  }
+}
+
+/*
+ * Returns the game starting from the position with the given FEN, or undefined
+ * if it isn't valid FEN of a legal position.
+ */
+function parsePosition (fen, variant) {
+  try {
+    const game = fromFEN(fen, { variant })
+    return getPositionError(game) ? undefined : game
+  } catch (e) {
+    return undefined
+  }
+}
+
+/*
+ * Creates a game. The response includes the secret seat tokens for both
+ * colors: the creator plays white, and shares the black token as an invite.
+ *
+ * The body can have a timeControl such as '5+3', meaning five minutes each
+ * plus three seconds per move, and a clockMode of 'increment' (the default) or
+ * 'delay'. Without a time control the game is untimed.
+ *
+ * If local is true, both sides are played by the creator on one device, and
+ * takebacks happen straight away.
+ *
+ * If opponent is 'computer', the game is played against the computer at the
+ * given level, and the creator plays the given color (white by default). The
+ * response then only includes the creator's seat token.
+ *
+ * The variant is 'standard' (the default), 'chess960', 'kingOfTheHill',
+ * 'threeCheck' or 'atomic'. In Chess960 an integer seed can choose the
+ * starting position, which is random otherwise.
+ *
+ * If fen is given, the game starts from that position instead, as long as it
+ * is a legal position.
+ *
+ * If the request has a session, the game is linked to the creator's account.
+ * In local games, the creator plays both colors.
+ *
+ * If public is true, the game is listed for anyone to watch while it is being
+ * played.
+ */
 api.post('/games', createGameLimiter, (req, res) => {
-  const id = uuidv4()
-  const game = { ...makeGame(), id }
+  const {
+    timeControl,
+    clockMode = 'increment',
+    local,
+    opponent,
+    variant = 'standard',
+    seed,
+    fen,
+    public: isPublic = false
+  } = req.body
+  const parsedTimeControl = timeControl && parseTimeControl(timeControl)
+  const computer = opponent === 'computer' && parseComputer(req.body)
+  const position = VARIANTS.includes(variant) && fen !== undefined &&
+    parsePosition(fen, variant)
+  if (
+    (timeControl && !parsedTimeControl) ||
+    !CLOCK_MODES.includes(clockMode) ||
+    (opponent && !computer) ||
+    !VARIANTS.includes(variant) ||
+    (seed !== undefined && !Number.isInteger(seed)) ||
+    (fen !== undefined && !position) ||
+    typeof isPublic !== 'boolean'
+  ) {
+    res.status(400).end()
+    return
+  }
+  getSessionUser(req, (status, user) => {
+    if (status !== 200) {
+      res.status(status).end()
+      return
+    }
+    const isLocal = local === true && !computer
+    const color = computer ? getOpponent(computer.color) : 'white'
+    const colors = isLocal ? ['white', 'black'] : [color]
+    const game = {
+      ...(position || makeGame({ variant, seed })),
+      id: uuidv4(),
+      createdAt: Date.now(),
+      ...(parsedTimeControl && {
+        clock: makeClock(parsedTimeControl, clockMode)
+      }),
+      ...(isLocal && { local }),
+      ...(computer && { computer }),
+      ...(isPublic && { public: true }),
+      ...(user && {
+        players: Object.fromEntries(colors.map(x => [x, getPlayer(user)]))
+      })
+    }
+    const tokens = { white: uuidv4(), black: uuidv4() }
+    createGame(game, tokens, (status) => {
+      if (status === 200) {
+        const playerTokens = computer ? { [color]: tokens[color] } : tokens
+        res.json({ ...withServerTime(game), tokens: playerTokens })
+      } else {
+        res.status(status).end()
+      }
+    })
+  })
+})
+
+function tokensEqual (a, b) {
+  const bufferA = Buffer.from(String(a))
+  const bufferB = Buffer.from(String(b))
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  )
+}
+
+/**
+ * Finds the color the request is allowed to play in the given game, based on
+ * the seat token in its Authorization header. respond is called with an HTTP
+ * status code, and the color on success.
+ */
+function getSeat (req, id, respond) {
+  const header = req.get('Authorization') || ''
+  getSeatForToken(header.replace(/^Bearer\s+/i, ''), id, respond)
+}
+
+/**
+ * Finds the color the given seat token plays in the given game, like getSeat.
+ */
+function getSeatForToken (token, id, respond) {
+  client.hgetall(`games:${id}:tokens`, (error, tokens) => {
+    if (error) {
+      respond(500)
+    } else if (!tokens) {
+      /* Games created before seat tokens existed can be played by anyone. */
+      respond(200, 'any')
+    } else {
+      const color = ['white', 'black'].find(x => (
+        token && tokensEqual(tokens[x], token)
+      ))
+      if (color) {
+        respond(200, color)
+      } else {
+        respond(403)
+      }
+    }
+  })
+}
+
+/**
+ * Sets KEYS[1] to ARGV[2] if it still holds ARGV[1], keeping its expiry.
+ * Returns 1 if the key was set, or 0 if it was changed in the meantime.
+ */
+const COMPARE_AND_SET = `
+if redis.call('get', KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+local ttl = redis.call('ttl', KEYS[1])
+redis.call('set', KEYS[1], ARGV[2])
+if ttl > 0 then
+  redis.call('expire', KEYS[1], ttl)
+end
+return 1
+`
+
+/* Timers which end games when the side to move runs out of time, by game ID. */
+const flagTimers = new Map()
+
+/*
+ * Schedules ending the game on time when the side to move runs out of time, so
+ * the game ends even if neither player makes another request. Games whose
+ * server process restarts in the meantime are ended by the next request.
+ */
+function scheduleFlag (game) {
+  clearTimeout(flagTimers.get(game.id))
+  flagTimers.delete(game.id)
+  const flagTime = getFlagTime(game)
+  if (flagTime) {
+    flagTimers.set(game.id, setTimeout(() => {
+      flagTimers.delete(game.id)
+      updateGame(game.id, (game) => checkFlag(game, Date.now()), () => {})
+    }, Math.max(flagTime - Date.now(), 0) + 100))
+  }
+}
+
+/* The searches for the computer's moves running on this process, by game ID. */
+const searches = new Map()
+
+/*
+ * Starts the computer thinking about its move if it is the computer's turn,
+ * and then makes the move. The search runs in a worker thread, so the server
+ * stays responsive. A search for a position the game has since left, such as
+ * after a takeback, is stopped.
+ */
+function playComputerMove (game) {
+  const key = toFEN(game)
+  const oldSearch = searches.get(game.id)
+  if (oldSearch && oldSearch.key === key) {
+    return
+  } else if (oldSearch) {
+    oldSearch.worker.terminate()
+    searches.delete(game.id)
+  }
+  if (
+    !game.computer ||
+    getGameResult(game) ||
+    getTurn(game) !== game.computer.color
+  ) {
+    return
+  }
+
+  const worker = new Worker(new URL('./engine-worker.js', import.meta.url), {
+    workerData: { game, options: ENGINE_LEVELS[game.computer.level - 1] }
+  })
+  const search = { key, worker }
+  searches.set(game.id, search)
+  worker.once('error', (error) => {
+    console.error(error)
+    searches.delete(game.id)
+  })
+  worker.once('message', (move) => {
+    if (searches.get(game.id) !== search) {
+      return
+    }
+    searches.delete(game.id)
+    updateGame(game.id, (current) => {
+      const now = Date.now()
+      const flagged = checkFlag(current, now)
+      if (flagged !== current) {
+        return flagged
+      } else if (toFEN(current) !== key) {
+        return 409
+      }
+      const newGame = move && makeMove(current, move)
+      return newGame ? pressClock(newGame, now) : 409
+    }, (status) => {
+      if (status !== 200 && status !== 409) {
+        console.error(`Failed to make the computer's move: ${status}`)
+      }
+    })
+  })
+}
+
+/**
+ * Updates the stored game with the given ID.
+ *
+ * update is called with the stored game, and returns either the new game, the
+ * same game if nothing needs to change, or an HTTP status code if the game
+ * can't be updated. If the game was changed by another request in the
+ * meantime, the update is retried with the new game. The new game is published
+ * to the clients following the game.
+ * respond is called with an HTTP status code, and the new game on success.
+ */
+function updateGame (id, update, respond, retries = 5) {
   const key = `games:${id}`
-  client.set(key, JSON.stringify(game), (error, result) => {
-    client.expire(key, 14 * 24 * 60 * 60) /* Expire the game after two weeks. */
-    if (!error) {
-      res.json(game)
+  client.get(key, (error, result) => {
+    if (error) {
+      respond(500)
+    } else if (!result) {
+      respond(404)
     } else {
-      res.status(500).end()
+      const oldGame = JSON.parse(result)
+      const game = update(oldGame)
+      if (typeof game === 'number') {
+        respond(game)
+        return
+      } else if (game === oldGame) {
+        respond(200, game)
+        return
+      }
+      const value = JSON.stringify(game)
+      client.eval(COMPARE_AND_SET, 1, key, result, value, (error, wasSet) => {
+        if (error) {
+          respond(500)
+        } else if (wasSet) {
+          client.publish(key, value)
+          scheduleFlag(game)
+          playComputerMove(game)
+          if (!getGameResult(oldGame) && getGameResult(game)) {
+            updateRatings(game)
+            client.zrem('games:live', id)
+          }
+          respond(200, game)
+        } else if (retries > 0) {
+          updateGame(id, update, respond, retries - 1)
+        } else {
+          respond(409)
+        }
+      })
     }
   })
-})
+}
 
+/** Returns a callback for updateGame which responds with the new game. */
+function respondWithGame (res) {
+  return (status, game) => {
+    if (game) {
+      res.json(withServerTime(game))
+    } else {
+      res.status(status).end()
+    }
+  }
+}
+
+/*
+ * Makes a move. The body is either of the form { from, to, promotion }, where
+ * from and to are square names such as 'e2', or { move }, where move is a SAN
+ * or UCI string. The request must have the seat token of the side to move.
+ *
+ * If the player has run out of time, the game is ended on time instead.
+ */
 api.post('/games/:id', (req, res) => {
   const id = req.params.id
-  const key = `games:${id}`
+  const input = req.body.move || req.body
+  getSeat(req, id, (status, seat) => {
+    if (!seat) {
+      res.status(status).end()
+      return
+    }
+    updateGame(id, (game) => {
+      const now = Date.now()
+      const flagged = checkFlag(game, now)
+      if (flagged !== game) {
+        return flagged
+      } else if (getGameResult(game)) {
+        return 409
+      } else if (seat !== 'any' && seat !== getTurn(game)) {
+        return 403
+      }
+      const move = parseMove(game, input)
+      const newGame = move && makeMove(game, move)
+      return newGame ? pressClock(newGame, now) : 400
+    }, respondWithGame(res))
+  })
+})
+
+/**
+ * Returns a request handler for an action a player takes in a game other than
+ * moving. action is called with the game and the player's color, and returns
+ * the new game, or undefined if the action is not allowed. As with moves, a
+ * game where the side to move has run out of time is ended on time instead.
+ */
+function playerAction (action) {
+  return (req, res) => {
+    const id = req.params.id
+    getSeat(req, id, (status, seat) => {
+      if (!seat || seat === 'any') {
+        res.status(seat ? 400 : status).end()
+        return
+      }
+      updateGame(id, (game) => {
+        const flagged = checkFlag(game, Date.now())
+        return flagged !== game ? flagged : action(game, seat, req.body) || 409
+      }, respondWithGame(res))
+    })
+  }
+}
+
+api.post('/games/:id/resign', playerAction(resign))
+api.post('/games/:id/offer-draw', playerAction(offerDraw))
+api.post('/games/:id/accept-draw', playerAction(acceptDraw))
+api.post('/games/:id/decline-draw', playerAction(declineDraw))
+api.post('/games/:id/claim-draw', playerAction(claimDraw))
+
+/*
+ * Mutes or unmutes the player's opponent in the chat. The body is of the form
+ * { muted }.
+ */
+api.post('/games/:id/mute', playerAction((game, color, { muted }) => (
+  typeof muted === 'boolean' && {
+    ...game,
+    mutes: { ...game.mutes, [color]: muted }
+  }
+)))
+
+/*
+ * Links the player's seat in a game to their account, such as after following
+ * an invite link. The request must have both the seat token and a session, and
+ * the seat must not belong to another account.
+ */
+api.post('/games/:id/join', (req, res) => {
+  const id = req.params.id
+  getSeat(req, id, (status, seat) => {
+    if (!seat || seat === 'any') {
+      res.status(seat ? 400 : status).end()
+      return
+    }
+    getSessionUser(req, (status, user) => {
+      if (!user) {
+        res.status(status === 200 ? 401 : status).end()
+        return
+      }
+      updateGame(id, (game) => {
+        const player = game.players && game.players[seat]
+        if (player) {
+          return player.id === user.id ? game : 409
+        }
+        return {
+          ...game,
+          players: { ...game.players, [seat]: getPlayer(user) }
+        }
+      }, (status, game) => {
+        if (!game) {
+          res.status(status).end()
+          return
+        }
+        client.zadd(`users:${user.id}:games`, game.createdAt, id, (error) => {
+          if (error) {
+            res.status(500).end()
+          } else {
+            res.json(withServerTime(game))
+          }
+        })
+      })
+    })
+  })
+})
+
+/*
+ * Returns the game after taking back moves with the given function, with the
+ * clock carrying on from the position the game goes back to.
+ */
+function takeBack (undo) {
+  return (game, color) => undo(restartClock(game, Date.now()), color)
+}
+
+/* Undoes the last move of a game that isn't over. */
+function undoLastMove (game) {
+  return getGameResult(game) ? undefined : undoMoves(game, 1)
+}
+
+/*
+ * In local games there is no opponent to ask, so the last move is undone, and
+ * the computer always agrees to a takeback.
+ */
+api.post('/games/:id/request-takeback', playerAction((game, color) => {
+  if (game.local) {
+    return takeBack(undoLastMove)(game)
+  }
+  const request = requestTakeback(game, color)
+  if (request && game.computer) {
+    return takeBack(acceptTakeback)(request, game.computer.color)
+  }
+  return request
+}))
+api.post('/games/:id/accept-takeback', playerAction(takeBack(acceptTakeback)))
+api.post('/games/:id/decline-takeback', playerAction(declineTakeback))
+
+/* Rematch IDs are derived from the original game's ID using this namespace. */
+const REMATCH_NAMESPACE = '5b0e3a0e-6f7e-4a53-9b8e-2f4c1d6a7e90'
+
+/*
+ * Creates a rematch of a finished game with the colors swapped, and responds
+ * with its ID. The rematch starts from the same position, as in Chess960 or a
+ * game set up from a FEN. Each player's seat token and account carry over to
+ * their new color. The rematch is the same game whichever player asks for it,
+ * and its ID is stored as game.rematch so the other player can join it.
+ */
+api.post('/games/:id/rematch', (req, res) => {
+  const id = req.params.id
+  getSeat(req, id, (status, seat) => {
+    if (!seat || seat === 'any') {
+      res.status(seat ? 400 : status).end()
+      return
+    }
+    client.multi()
+      .get(`games:${id}`)
+      .hgetall(`games:${id}:tokens`)
+      .exec((error, results) => {
+        const [result, tokens] = results || []
+        const game = result && JSON.parse(result)
+        if (error) {
+          res.status(500).end()
+        } else if (!game) {
+          res.status(404).end()
+        } else if (!getGameResult(game)) {
+          res.status(409).end()
+        } else {
+          const rematch = {
+            ...getInitialGame(game),
+            id: uuidv5(id, REMATCH_NAMESPACE),
+            createdAt: Date.now(),
+            ...(game.clock && { clock: makeClock(game.clock, game.clock.mode) }),
+            ...(game.local && { local: game.local }),
+            ...(game.public && { public: game.public }),
+            ...(game.players && {
+              players: Object.fromEntries(Object.entries(game.players).map(
+                ([color, player]) => [getOpponent(color), player]
+              ))
+            }),
+            ...(game.computer && {
+              computer: {
+                ...game.computer,
+                color: getOpponent(game.computer.color)
+              }
+            })
+          }
+          const rematchTokens = { white: tokens.black, black: tokens.white }
+          createGame(rematch, rematchTokens, (status) => {
+            if (status !== 200) {
+              res.status(status).end()
+              return
+            }
+            updateGame(id, (game) => ({ ...game, rematch: rematch.id }),
+              (status, game) => {
+                if (game) {
+                  res.json({ id: rematch.id })
+                } else {
+                  res.status(status).end()
+                }
+              })
+          })
+        }
+      })
+  })
+})
+
+/*
+ * Accounts.
+ *
+ * Each account is stored as users:<id>, of the form
+ * { id, username, email, passwordHash, salt, rating, record, createdAt }, where
+ * rating is the player's Glicko-2 rating, and record counts their rated
+ * { wins, losses, draws }. Accounts either have a password, or an email to sign
+ * in with a link sent to it, or both. The hashes usernames and emails map the
+ * lowercase username or email to the account's ID, and users:<id>:games is a
+ * sorted set of the IDs of the account's games by when they were created.
+ *
+ * Signing in starts a session, whose token is sent in the X-Session header of
+ * later requests.
+ */
+
+const SESSION_EXPIRY = 30 * 24 * 60 * 60 /* Sessions last 30 days. */
+const LOGIN_EXPIRY = 15 * 60 /* Sign in links last 15 minutes. */
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const MIN_PASSWORD_LENGTH = 8
+
+const accountLimiter = rateLimiter({
+  windowMs: 60 * 60 * 1000, /* Limit attempts to sign in to 20 per hour. */
+  max: 20
+})
+
+/*
+ * Hashes a password with the given salt. callback is called with an error, or
+ * the hash on success.
+ */
+function hashPassword (password, salt, callback) {
+  crypto.scrypt(password, salt, 64, (error, key) => {
+    callback(error, key && key.toString('hex'))
+  })
+}
+
+/* Returns the details of an account which anyone can see. */
+function getPublicUser (user) {
+  const { id, username, rating, record, createdAt } = user
+  return { id, username, rating, record, createdAt }
+}
+
+/* Returns the player stored in a game for the given account. */
+function getPlayer (user) {
+  return { id: user.id, username: user.username }
+}
+
+/**
+ * Gets the account with the given ID. respond is called with an HTTP status
+ * code, and the account on success.
+ */
+function getUser (id, respond) {
+  client.get(`users:${id}`, (error, result) => {
+    if (error) {
+      respond(500)
+    } else if (!result) {
+      respond(404)
+    } else {
+      respond(200, JSON.parse(result))
+    }
+  })
+}
+
+/**
+ * Gets the account signed in with the session token in the request's
+ * X-Session header. respond is called with an HTTP status code, and the
+ * account if there is one. Requests without a session succeed without an
+ * account, while an invalid session is unauthorized.
+ */
+function getSessionUser (req, respond) {
+  const session = req.get('X-Session')
+  if (!session) {
+    respond(200)
+    return
+  }
+  client.get(`sessions:${session}`, (error, id) => {
+    if (error) {
+      respond(500)
+    } else if (!id) {
+      respond(401)
+    } else {
+      getUser(id, (status, user) => respond(user ? 200 : 401, user))
+    }
+  })
+}
+
+/**
+ * Updates the stored account with the given ID, like updateGame does for
+ * games. respond is called with an HTTP status code, and the new account on
+ * success.
+ */
+function updateUser (id, update, respond, retries = 5) {
+  const key = `users:${id}`
   client.get(key, (error, result) => {
-    if (!error && result) {
-      const game = JSON.parse(result)
-      const newGame = req.body.game
-      if (newGame.id === id && isValidMove(game, newGame)) {
-        client.set(key, JSON.stringify(newGame), (error, result) => {
-          if (!error) {
-            res.json(newGame)
+    if (error) {
+      respond(500)
+    } else if (!result) {
+      respond(404)
+    } else {
+      const user = update(JSON.parse(result))
+      const value = JSON.stringify(user)
+      client.eval(COMPARE_AND_SET, 1, key, result, value, (error, wasSet) => {
+        if (error) {
+          respond(500)
+        } else if (wasSet) {
+          respond(200, user)
+        } else if (retries > 0) {
+          updateUser(id, update, respond, retries - 1)
+        } else {
+          respond(409)
+        }
+      })
+    }
+  })
+}
+
+/*
+ * Updates the ratings and records of the players of a game which has just
+ * finished. Only games between two different accounts are rated, so local
+ * games and games against the computer aren't.
+ */
+function updateRatings (game) {
+  const { white, black } = game.players || {}
+  if (!white || !black || white.id === black.id || game.computer) {
+    return
+  }
+  const result = getGameResult(game)
+  client.mget([`users:${white.id}`, `users:${black.id}`], (error, results) => {
+    if (error || !results.every(Boolean)) {
+      console.error(`Failed to rate game ${game.id}`)
+      return
+    }
+    const [whiteUser, blackUser] = results.map(x => JSON.parse(x))
+    const ratings = { white: whiteUser.rating, black: blackUser.rating }
+    Object.entries(game.players).forEach(([color, player]) => {
+      const opponent = ratings[getOpponent(color)]
+      const score = getScore(result, color)
+      const field = score === 1 ? 'wins' : score === 0 ? 'losses' : 'draws'
+      updateUser(player.id, (user) => ({
+        ...user,
+        rating: updateRating(user.rating, [{ opponent, score }]),
+        record: { ...user.record, [field]: user.record[field] + 1 }
+      }), (status) => {
+        if (status !== 200) {
+          console.error(`Failed to rate game ${game.id}: ${status}`)
+        }
+      })
+    })
+  })
+}
+
+/*
+ * Starts a session for the given account, and responds with the session token
+ * and the account.
+ */
+function startSession (res, user) {
+  const session = uuidv4()
+  client.set(`sessions:${session}`, user.id, 'EX', SESSION_EXPIRY, (error) => {
+    if (error) {
+      res.status(500).end()
+    } else {
+      res.json({ session, user: { ...getPublicUser(user), email: user.email } })
+    }
+  })
+}
+
+/*
+ * Creates an account. The body is of the form { username, password, email },
+ * where at least one of the password and email is needed to sign in again.
+ * Responds with a session for the new account.
+ */
+api.post('/users', accountLimiter, (req, res) => {
+  const { username, password, email } = req.body
+  if (
+    typeof username !== 'string' ||
+    !USERNAME_PATTERN.test(username) ||
+    (password === undefined && email === undefined) ||
+    (password !== undefined && (
+      typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH
+    )) ||
+    (email !== undefined && (
+      typeof email !== 'string' || !EMAIL_PATTERN.test(email)
+    ))
+  ) {
+    res.status(400).end()
+    return
+  }
+  const user = {
+    id: uuidv4(),
+    username,
+    ...(email && { email }),
+    rating: makeRating(),
+    record: { wins: 0, losses: 0, draws: 0 },
+    createdAt: Date.now()
+  }
+  const salt = crypto.randomBytes(16).toString('hex')
+  const withPassword = (callback) => {
+    if (password) {
+      hashPassword(password, salt, (error, passwordHash) => (
+        callback(error, { ...user, salt, passwordHash })
+      ))
+    } else {
+      callback(null, user)
+    }
+  }
+  withPassword((error, newUser) => {
+    if (error) {
+      res.status(500).end()
+      return
+    }
+
+    /* Claim the username and email, so no other account can take them. */
+    const multi = client.multi()
+      .hsetnx('usernames', username.toLowerCase(), user.id)
+    if (email) {
+      multi.hsetnx('emails', email.toLowerCase(), user.id)
+    }
+    multi.exec((error, [usernameSet, emailSet = 1] = []) => {
+      if (error) {
+        res.status(500).end()
+      } else if (!usernameSet || !emailSet) {
+        /* Give back whichever was claimed. */
+        const undo = client.multi()
+        if (usernameSet) {
+          undo.hdel('usernames', username.toLowerCase())
+        }
+        if (email && emailSet) {
+          undo.hdel('emails', email.toLowerCase())
+        }
+        undo.exec(() => res.status(409).end())
+      } else {
+        client.set(`users:${user.id}`, JSON.stringify(newUser), (error) => {
+          if (error) {
+            res.status(500).end()
+          } else {
+            startSession(res, newUser)
+          }
+        })
+      }
+    })
+  })
+})
+
+/*
+ * Signs in, responding with a new session. The body is either of the form
+ * { username, password }, or { token }, where token comes from a sign in link.
+ */
+api.post('/sessions', accountLimiter, (req, res) => {
+  const { username, password, token } = req.body
+  if (typeof token === 'string') {
+    const key = `logins:${token}`
+    client.multi().get(key).del(key).exec((error, results) => {
+      const [id] = results || []
+      if (error) {
+        res.status(500).end()
+      } else if (!id) {
+        res.status(401).end()
+      } else {
+        getUser(id, (status, user) => {
+          if (user) {
+            startSession(res, user)
           } else {
+            res.status(status).end()
+          }
+        })
+      }
+    })
+    return
+  } else if (typeof username !== 'string' || typeof password !== 'string') {
+    res.status(400).end()
+    return
+  }
+  client.hget('usernames', username.toLowerCase(), (error, id) => {
+    if (error) {
+      res.status(500).end()
+    } else if (!id) {
+      res.status(401).end()
+    } else {
+      getUser(id, (status, user) => {
+        if (!user) {
+          res.status(status).end()
+        } else if (!user.passwordHash) {
+          res.status(401).end()
+        } else {
+          hashPassword(password, user.salt, (error, passwordHash) => {
+            if (error) {
+              res.status(500).end()
+            } else if (tokensEqual(passwordHash, user.passwordHash)) {
+              startSession(res, user)
+            } else {
+              res.status(401).end()
+            }
+          })
+        }
+      })
+    }
+  })
+})
+
+/*
+ * Emails a link to sign in to the account with the given email, of the form
+ * { email }. The response is the same whether or not there is such an account,
+ * so it can't be used to find out who has one. Without a mailer, the response
+ * is 503.
+ */
+api.post('/sessions/email', accountLimiter, (req, res) => {
+  const { email } = req.body
+  if (!mailer) {
+    res.status(503).end()
+    return
+  } else if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+    res.status(400).end()
+    return
+  }
+  client.hget('emails', email.toLowerCase(), (error, id) => {
+    if (error) {
+      res.status(500).end()
+    } else if (!id) {
+      res.status(204).end()
+    } else {
+      const token = uuidv4()
+      client.set(`logins:${token}`, id, 'EX', LOGIN_EXPIRY, (error) => {
+        if (error) {
+          res.status(500).end()
+          return
+        }
+        const link = `${baseUrl}/login?token=${token}`
+        mailer.sendMail({
+          to: email,
+          subject: 'Sign in to R3Chess',
+          text: `Follow this link to sign in to R3Chess:\n\n${link}\n\n` +
+            'The link works once, for the next 15 minutes.'
+        }, (error) => {
+          if (error) {
+            console.error(error)
             res.status(500).end()
+          } else {
+            res.status(204).end()
           }
         })
+      })
+    }
+  })
+})
+
+/* Signs out, ending the request's session. */
+api.delete('/sessions', (req, res) => {
+  const session = req.get('X-Session')
+  if (!session) {
+    res.status(401).end()
+    return
+  }
+  client.del(`sessions:${session}`, (error) => {
+    res.status(error ? 500 : 204).end()
+  })
+})
+
+/**
+ * Returns a request handler for requests which need a session. handle is
+ * called with the request, the response and the signed in account.
+ */
+function withUser (handle) {
+  return (req, res) => {
+    getSessionUser(req, (status, user) => {
+      if (user) {
+        handle(req, res, user)
       } else {
-        res.status(400).end()
+        res.status(status === 200 ? 401 : status).end()
+      }
+    })
+  }
+}
+
+/* Responds with the signed in account. */
+api.get('/me', withUser((req, res, user) => {
+  res.json({ ...getPublicUser(user), email: user.email })
+}))
+
+/*
+ * Responds with the signed in account's games, newest first, each of the form
+ * { id, color, tokens, date, players, variant, result }, where tokens holds
+ * the seat tokens for the colors the account plays, so the games can be
+ * played from any device. Games which have expired are left out.
+ */
+api.get('/me/games', withUser((req, res, user) => {
+  const key = `users:${user.id}:games`
+  client.zrevrange(key, 0, -1, (error, ids) => {
+    if (error) {
+      res.status(500).end()
+      return
+    } else if (ids.length === 0) {
+      res.json([])
+      return
+    }
+    const multi = client.multi().mget(ids.map(id => `games:${id}`))
+    ids.forEach(id => multi.hgetall(`games:${id}:tokens`))
+    multi.exec((error, results) => {
+      if (error) {
+        res.status(500).end()
+        return
+      }
+      const [games, ...tokens] = results
+      const expired = ids.filter((id, i) => !games[i])
+      if (expired.length > 0) {
+        client.zrem(key, expired)
+      }
+      res.json(games.flatMap((result, i) => {
+        if (!result) {
+          return []
+        }
+        const game = JSON.parse(result)
+        const colors = ['white', 'black'].filter(color => (
+          game.players[color] && game.players[color].id === user.id
+        ))
+        return [{
+          id: game.id,
+          color: colors[0],
+          tokens: Object.fromEntries(
+            colors.map(color => [color, tokens[i] && tokens[i][color]])
+          ),
+          date: game.createdAt,
+          players: game.players,
+          ...(game.variant && { variant: game.variant }),
+          ...(game.computer && { computer: game.computer }),
+          ...(game.local && { local: game.local }),
+          result: getGameResult(game)
+        }]
+      }))
+    })
+  })
+}))
+
+/* Responds with the public details of the account with the given ID. */
+api.get('/users/:id', (req, res) => {
+  getUser(req.params.id, (status, user) => {
+    if (user) {
+      res.json(getPublicUser(user))
+    } else {
+      res.status(status).end()
+    }
+  })
+})
+
+/*
+ * Seeks.
+ *
+ * A seek is an open challenge waiting in the lobby for an opponent, stored as
+ * seeks:<id> until it expires, of the form
+ * { id, player, seeker, rating, timeControl, clockMode, variant, color,
+ * ratingRange, createdAt, token }, where player is the seeker's account if
+ * signed in, seeker is the ID their browser sent in the X-Seeker header if
+ * not, rating is their rating (or a new player's rating otherwise), color is
+ * the color they want to play or 'random', and ratingRange is how far from
+ * their rating the opponent's can be. token is a secret the seeker uses to
+ * cancel the seek, and to hear when it is accepted. The sorted set seeks holds the
+ * IDs of the seeks by when they were posted.
+ *
+ * Whenever the seeks change, the list of open seeks is published on the
+ * channel seeks. When a seek is accepted, the seeker's side of the new game is
+ * stored as seeks:<id>:pairing and published on the channel seeks:<id>.
+ */
+
+const SEEK_EXPIRY = 30 * 60 /* Seeks are open for 30 minutes. */
+
+const SEEK_COLORS = ['white', 'black', 'random']
+
+/* Returns the details of a seek which anyone can see. */
+function getPublicSeek (seek) {
+  const { token, seeker, ...rest } = seek
+  return rest
+}
+
+/*
+ * Returns the ID an anonymous player's browser sent in the X-Seeker header, or
+ * undefined if it sent none, or one which isn't a short string of letters,
+ * digits and dashes.
+ */
+function getSeeker (req) {
+  const seeker = req.get('X-Seeker')
+  return /^[\w-]{1,64}$/.test(seeker || '') ? seeker : undefined
+}
+
+/* Returns true if both seeks, or a seek and challenger, are the same player. */
+function isSamePlayer (a, b) {
+  return a.player && b.player
+    ? a.player.id === b.player.id
+    : !!a.seeker && a.seeker === b.seeker
+}
+
+/*
+ * Gets the open seeks, oldest first, removing any which have expired from the
+ * sorted set. respond is called with an HTTP status code, and the seeks on
+ * success.
+ */
+function getSeeks (respond) {
+  client.zrange('seeks', 0, -1, (error, ids) => {
+    if (error) {
+      respond(500)
+      return
+    } else if (ids.length === 0) {
+      respond(200, [])
+      return
+    }
+    client.mget(ids.map(id => `seeks:${id}`), (error, results) => {
+      if (error) {
+        respond(500)
+        return
+      }
+      const expired = ids.filter((id, i) => !results[i])
+      if (expired.length > 0) {
+        client.zrem('seeks', expired)
+      }
+      respond(200, results.filter(Boolean).map(x => JSON.parse(x)))
+    })
+  })
+}
+
+/* Publishes the open seeks to the clients in the lobby. */
+function publishSeeks () {
+  getSeeks((status, seeks) => {
+    if (seeks) {
+      client.publish('seeks', JSON.stringify(seeks.map(getPublicSeek)))
+    }
+  })
+}
+
+/* Returns the rating a player is matched by, or a new player's if anonymous. */
+function getSeekRating (user) {
+  return Math.round((user ? user.rating : makeRating()).rating)
+}
+
+/* Returns true if the given rating is in the range the seek asked for. */
+function isInRange (seek, rating) {
+  return Math.abs(seek.rating - rating) <= (seek.ratingRange || Infinity)
+}
+
+/*
+ * Returns true if the seeks want the same time control, however it is written,
+ * e.g. '5+3' and '5+03', and the same clock mode, or both want no clock.
+ */
+function isSameTimeControl (a, b) {
+  const x = a.timeControl && parseTimeControl(a.timeControl)
+  const y = b.timeControl && parseTimeControl(b.timeControl)
+  if (!x || !y) {
+    return !x && !y
+  }
+  return (
+    x.initial === y.initial &&
+    x.increment === y.increment &&
+    (a.clockMode || 'increment') === (b.clockMode || 'increment')
+  )
+}
+
+/*
+ * Returns true if the seeks can be paired with each other: they want the same
+ * kind of game and opposite colors, come from different players, and each
+ * player's rating is in the range the other asked for.
+ */
+function canPair (a, b) {
+  return (
+    !isSamePlayer(a, b) &&
+    isSameTimeControl(a, b) &&
+    a.variant === b.variant &&
+    (a.color === 'random' || b.color === 'random' || a.color !== b.color) &&
+    isInRange(a, b.rating) &&
+    isInRange(b, a.rating)
+  )
+}
+
+/*
+ * Takes the open seek with the given ID, so no one else can accept it.
+ * respond is called with an HTTP status code, and the seek on success.
+ */
+function takeSeek (id, respond) {
+  const key = `seeks:${id}`
+  client.multi().get(key).del(key).zrem('seeks', id).exec((error, results) => {
+    const [result] = results || []
+    if (error) {
+      respond(500)
+    } else if (!result) {
+      respond(404)
+    } else {
+      publishSeeks()
+      respond(200, JSON.parse(result))
+    }
+  })
+}
+
+/*
+ * Returns the color of a player who wants the given color, which may be
+ * 'random', against an opponent who wants opponentColor, if anything.
+ */
+function chooseColor (color, opponentColor) {
+  if (color !== 'random') {
+    return color
+  } else if (opponentColor === 'white' || opponentColor === 'black') {
+    return getOpponent(opponentColor)
+  }
+  return Math.random() < 0.5 ? 'white' : 'black'
+}
+
+/*
+ * Creates the game for an accepted seek, and lets the seeker know about it.
+ * Games from the lobby are public, so anyone can watch them.
+ * challenger is the seek, or the settings, of the player accepting it, with
+ * their account as player if signed in. respond is called with an HTTP status
+ * code, and the challenger's side of the game on success, of the form
+ * { id, color, tokens }.
+ */
+function pairSeek (seek, challenger, respond) {
+  const seekColor = chooseColor(seek.color, challenger.color)
+  const challengerColor = getOpponent(seekColor)
+  const players = {
+    ...(seek.player && { [seekColor]: seek.player }),
+    ...(challenger.player && { [challengerColor]: challenger.player })
+  }
+  const game = {
+    ...makeGame({ variant: seek.variant }),
+    id: uuidv4(),
+    createdAt: Date.now(),
+    ...(seek.timeControl && {
+      clock: makeClock(parseTimeControl(seek.timeControl), seek.clockMode)
+    }),
+    public: true,
+    ...(Object.keys(players).length > 0 && { players })
+  }
+  const tokens = { white: uuidv4(), black: uuidv4() }
+  createGame(game, tokens, (status) => {
+    if (status !== 200) {
+      respond(status)
+      return
+    }
+    const key = `seeks:${seek.id}:pairing`
+    const pairing = JSON.stringify({
+      id: game.id,
+      color: seekColor,
+      tokens: { [seekColor]: tokens[seekColor] }
+    })
+    client.set(key, pairing, 'EX', SEEK_EXPIRY, (error) => {
+      if (error) {
+        respond(500)
+        return
       }
+      client.publish(`seeks:${seek.id}`, pairing)
+      respond(200, {
+        id: game.id,
+        color: challengerColor,
+        tokens: { [challengerColor]: tokens[challengerColor] }
+      })
+    })
+  })
+}
+
+/* Responds with the open seeks. */
+api.get('/seeks', (req, res) => {
+  getSeeks((status, seeks) => {
+    if (seeks) {
+      res.json(seeks.map(getPublicSeek))
     } else {
-      res.status(404).end()
+      res.status(status).end()
+    }
+  })
+})
+
+/*
+ * Streams the open seeks as server-sent events. The seeks are sent straight
+ * away, and again every time they change.
+ */
+api.get('/seeks/events', (req, res) => {
+  getSeeks((status, seeks) => {
+    if (!seeks) {
+      res.status(status).end()
+      return
+    }
+    startEventStream(req, res)
+    sendEvent(res, 'seeks', JSON.stringify(seeks.map(getPublicSeek)))
+    req.on('close', listen('seeks', (message) => {
+      sendEvent(res, 'seeks', message)
+    }))
+  })
+})
+
+/*
+ * Posts a seek. The body can have a timeControl and clockMode, and a variant,
+ * as when creating a game, a color of 'white', 'black' or 'random' (the
+ * default), and a ratingRange, which is how far from the seeker's rating the
+ * opponent's can be. Players who aren't signed in should send an ID for their
+ * browser in the X-Seeker header, so their seeks aren't paired with each other.
+ *
+ * If an open seek from another player can be paired with it, that seek is
+ * accepted straight away, and the response is of the form
+ * { game: { id, color, tokens } }. Otherwise the seek is posted, and the
+ * response is of the form { seek, token }, where token is needed to cancel the
+ * seek, and to follow its events.
+ */
+api.post('/seeks', createGameLimiter, (req, res) => {
+  const {
+    timeControl,
+    clockMode = 'increment',
+    variant = 'standard',
+    color = 'random',
+    ratingRange
+  } = req.body
+  if (
+    (timeControl && !parseTimeControl(timeControl)) ||
+    !CLOCK_MODES.includes(clockMode) ||
+    !VARIANTS.includes(variant) ||
+    !SEEK_COLORS.includes(color) ||
+    (ratingRange !== undefined && !(
+      Number.isInteger(ratingRange) && ratingRange > 0
+    ))
+  ) {
+    res.status(400).end()
+    return
+  }
+  getSessionUser(req, (status, user) => {
+    if (status !== 200) {
+      res.status(status).end()
+      return
+    }
+    const seek = {
+      id: uuidv4(),
+      ...(user ? { player: getPlayer(user) } : { seeker: getSeeker(req) }),
+      rating: getSeekRating(user),
+      ...(timeControl && { timeControl, clockMode }),
+      variant,
+      color,
+      ...(ratingRange && { ratingRange }),
+      createdAt: Date.now(),
+      token: uuidv4()
+    }
+    getSeeks((status, seeks) => {
+      if (!seeks) {
+        res.status(status).end()
+        return
+      }
+      const match = seeks.find(x => canPair(x, seek))
+      if (match) {
+        takeSeek(match.id, (status, taken) => {
+          if (!taken) {
+            res.status(status === 404 ? 409 : status).end()
+            return
+          }
+          pairSeek(taken, seek, (status, game) => {
+            if (game) {
+              res.json({ game })
+            } else {
+              res.status(status).end()
+            }
+          })
+        })
+        return
+      }
+      const key = `seeks:${seek.id}`
+      client.multi()
+        .set(key, JSON.stringify(seek), 'EX', SEEK_EXPIRY)
+        .set(`${key}:token`, seek.token, 'EX', SEEK_EXPIRY)
+        .zadd('seeks', seek.createdAt, seek.id)
+        .exec((error) => {
+          if (error) {
+            res.status(500).end()
+          } else {
+            publishSeeks()
+            res.json({ seek: getPublicSeek(seek), token: seek.token })
+          }
+        })
+    })
+  })
+})
+
+/*
+ * Checks the seek token in the request's Authorization header, or its token
+ * query parameter for event streams, which can't send headers. respond is
+ * called with an HTTP status code.
+ */
+function checkSeekToken (req, id, respond) {
+  const header = req.get('Authorization') || ''
+  const token = header.replace(/^Bearer\s+/i, '') || req.query.token
+  client.get(`seeks:${id}:token`, (error, result) => {
+    if (error) {
+      respond(500)
+    } else if (!result) {
+      respond(404)
+    } else {
+      respond(token && tokensEqual(result, token) ? 200 : 403)
+    }
+  })
+}
+
+/*
+ * Streams the events of a seek to the seeker, who needs the seek's token.
+ * Once the seek is accepted, a paired event is sent with the seeker's side of
+ * the new game, of the form { id, color, tokens }.
+ */
+api.get('/seeks/:id/events', (req, res) => {
+  const id = req.params.id
+  checkSeekToken(req, id, (status) => {
+    if (status !== 200) {
+      res.status(status).end()
+      return
+    }
+    startEventStream(req, res)
+    req.on('close', listen(`seeks:${id}`, (message) => {
+      sendEvent(res, 'paired', message)
+    }))
+
+    /* The seek may have been accepted before the stream started. */
+    client.get(`seeks:${id}:pairing`, (error, pairing) => {
+      if (!error && pairing) {
+        sendEvent(res, 'paired', pairing)
+      }
+    })
+  })
+})
+
+/*
+ * Accepts a seek, creating the game, and responds with the accepting player's
+ * side of it, of the form { id, color, tokens }. The seeker can't accept their
+ * own seek, and no one can accept a seek whose rating range they are outside.
+ */
+api.post('/seeks/:id/accept', createGameLimiter, (req, res) => {
+  const id = req.params.id
+  getSessionUser(req, (status, user) => {
+    if (status !== 200) {
+      res.status(status).end()
+      return
+    }
+    const challenger = user
+      ? { player: getPlayer(user) }
+      : { seeker: getSeeker(req) }
+    client.get(`seeks:${id}`, (error, result) => {
+      const open = result && JSON.parse(result)
+      if (error) {
+        res.status(500).end()
+        return
+      } else if (!open) {
+        res.status(404).end()
+        return
+      } else if (
+        isSamePlayer(open, challenger) ||
+        !isInRange(open, getSeekRating(user))
+      ) {
+        res.status(403).end()
+        return
+      }
+      takeSeek(id, (status, seek) => {
+        if (!seek) {
+          res.status(status).end()
+          return
+        }
+        pairSeek(seek, challenger, (status, game) => {
+          if (game) {
+            res.json(game)
+          } else {
+            res.status(status).end()
+          }
+        })
+      })
+    })
+  })
+})
+
+/* Cancels a seek, which needs the seek's token. */
+api.delete('/seeks/:id', (req, res) => {
+  const id = req.params.id
+  checkSeekToken(req, id, (status) => {
+    if (status !== 200) {
+      res.status(status).end()
+      return
     }
+    takeSeek(id, (status) => {
+      res.status(status === 200 ? 204 : status).end()
+    })
   })
 })
 